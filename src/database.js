@@ -1,17 +1,36 @@
 const AwaitLock = require('await-lock').default
+const { tokenize, splitStatements } = require('./tokenizer')
+const { sql, SqlFragment, quoteIdentifier } = require('./sql')
+const errors = require('./errors')
+const { MigrationError, createDatabaseError } = errors
+const { Schema, parseCreateTable } = require('./schema')
+const drivers = require('./drivers')
 
-let instance = null
+// the instances of DB() and DB(name)
+const instances = new Map()
+const defaultName = 'default'
 
 /**
  * Class to control database-connections
  *
+ * Without new it returns a global instance: DB(options) configures it once, DB() returns it.
+ * More instances get a name: DB('cache', options) configures and DB('cache') returns it.
+ *
  * @returns {DB}
  * @constructor
  */
 function DB (options = {}) {
   if (!(this instanceof DB)) {
-    instance = instance || new DB(...arguments)
-    return instance
+    const name = typeof arguments[0] === 'string' ? arguments[0] : defaultName
+    const instanceOptions = typeof arguments[0] === 'string' ? arguments[1] : arguments[0]
+    if (!instances.has(name)) {
+      if (instanceOptions === undefined) {
+        const call = name === defaultName ? '' : `'${name}'`
+        throw new Error(`DB(${call}) is used before it was configured with DB(${call ? call + ', ' : ''}options)`)
+      }
+      instances.set(name, new DB(instanceOptions))
+    }
+    return instances.get(name)
   }
   if (typeof options !== 'object') {
     throw new Error('parameter needs to be a WebSQL')
@@ -24,6 +43,18 @@ function DB (options = {}) {
   if (!this.options.db) {
     throw new Error('db parameter is missing')
   }
+  if (this.options.driver) {
+    // a name of the drivers or a function that gets the database and returns an object with the WebSQL API
+    const driver =
+      typeof this.options.driver === 'function' ? this.options.driver : drivers[this.options.driver]
+    if (!driver) {
+      throw new Error(`Unknown driver ${this.options.driver}`)
+    }
+    this.options = { ...this.options, db: driver(this.options.db) }
+  }
+  if (typeof this.options.db.transaction !== 'function') {
+    throw new Error('db parameter needs to be a WebSQL database; use the driver option for other databases')
+  }
   if (this.options.logger === undefined) {
     this.options.logger = console.log
   }
@@ -33,11 +64,25 @@ function DB (options = {}) {
   if (!this.options.verbose) {
     this.options.logger = () => {}
   }
+  if (this.options.maxVariables === undefined) {
+    // SQLITE_MAX_VARIABLE_NUMBER of most builds
+    this.options.maxVariables = 999
+  }
+  if (this.options.slowQueryLogger === undefined) {
+    this.options.slowQueryLogger = console.warn
+  }
   this.awaitLock = new AwaitLock()
+  this.schema = new Schema(this)
+  this.listeners = {}
+  this.plugins = [...(this.options.plugins || [])]
 }
 
 DB.prototype.connection = async function () {
   await this.awaitLock.acquireAsync()
+  if (this.closed) {
+    this.awaitLock.release()
+    throw new Error('The database is closed')
+  }
   if (this.db) {
     this.awaitLock.release()
     return this.db
@@ -65,32 +110,214 @@ DB.prototype.connection = async function () {
 }
 
 /**
- * Executes the prepared statement. When execution completes it returns an info object describing any changes made. The info object has two properties:
+ * Closes the database if the driver allows it (WebSQL can't be closed). The instance can't be used afterwards.
  *
- * info.changes: The total number of rows that were inserted, updated, or deleted by this operation. Changes made by foreign key actions or trigger programs do not count.
- * info.lastID: The rowid of the last row inserted into the database (ignoring those caused by trigger programs). If the current statement did not insert any rows into the database, this number should be completely ignored.
+ * @returns {undefined}
+ */
+DB.prototype.close = async function () {
+  await this.awaitLock.acquireAsync()
+  try {
+    if (!this.closed && typeof this.options.db.close === 'function') {
+      await this.options.db.close()
+    }
+    this.closed = true
+    this.db = undefined
+  } finally {
+    this.awaitLock.release()
+  }
+}
+
+/**
+ * Closes a global instance and forgets it, so DB(name, options) can configure it again
  *
- * If execution of the statement fails, an Error is thrown.
- * @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#runbindparameters---object
+ * @param {String} name optional; default is the instance of DB()
+ * @returns {undefined}
+ */
+DB.close = async function (name = defaultName) {
+  const instance = instances.get(name)
+  if (instance) {
+    instances.delete(name)
+    await instance.close()
+  }
+}
+
+/**
+ * Closes and forgets all global instances
  *
- * @param {Object} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
- * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
- * @returns {object}
+ * @returns {undefined}
  */
-DB.prototype.run = async function (query, ...bindParameters) {
+DB.reset = async function () {
+  await Promise.all(Array.from(instances.keys()).map(name => DB.close(name)))
+}
+
+/**
+ * Adds a plugin. A plugin is an object with hooks; a hook gets a context and next, a function that calls the
+ * following plugins and at last the helper itself. A hook can change the context before it calls next, change the
+ * result of next or return a result without calling next. Plugins run in the order they were added.
+ *
+ * Hooks:
+ *   run, query, queryFirstRow, ..., insert, update, replace, upsert, delete (and their *WithBlackList variants)
+ *     context: {method, args, db} with the arguments of the helper call; the result of the helper
+ *   execute   every statement; context: {method, sql, params, readOnly, transactionId, db}; the SQLResultSet
+ *   migration every migration that is applied or undone; context: {id, name, direction}
+ *
+ * @example DB().use({ query: async (context, next) => (await next()).map(row => ({ ...row, loaded: true })) })
+ * @param {Object} plugin
+ * @returns {DB}
+ */
+DB.prototype.use = function (plugin) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error('plugin needs to be an object for the use command of DB()')
+  }
+  this.plugins.push(plugin)
+  return this
+}
+
+/**
+ * Calls the hook of all plugins and at last the function itself
+ *
+ * @param {String} hook
+ * @param {Object} context
+ * @param {Function} last gets the context and does the actual work
+ * @returns {Promise} the result of the first plugin
+ */
+function callPlugins (hook, context, last) {
+  const plugins = this.plugins.filter(plugin => typeof plugin[hook] === 'function')
+  const call = async (index, context) => {
+    if (index === plugins.length) {
+      return last(context)
+    }
+    return plugins[index][hook](context, (nextContext = context) => call(index + 1, nextContext))
+  }
+  return call(0, context)
+}
+
+/**
+ * Adds a listener for the statements that are executed:
+ *   query:start  before a statement is executed: {method, sql, params, transactionId}
+ *   query:end    after it succeeded, additionally with duration (in ms), rowCount and rowsAffected
+ *   query:error  after it failed, additionally with duration and error
+ * method is the name of the calling helper, transactionId the id of the transaction() handle (null without one).
+ *
+ * @param {String} event
+ * @param {Function} listener gets the data of the event
+ * @returns {DB}
+ */
+DB.prototype.on = function (event, listener) {
+  this.listeners[event] = [...(this.listeners[event] || []), listener]
+  return this
+}
+
+/**
+ * Removes a listener that was added with on()
+ *
+ * @param {String} event
+ * @param {Function} listener
+ * @returns {DB}
+ */
+DB.prototype.off = function (event, listener) {
+  this.listeners[event] = (this.listeners[event] || []).filter(x => x !== listener)
+  return this
+}
+
+function emit (event, data) {
+  for (const listener of this.listeners[event] || []) {
+    try {
+      listener(data)
+    } catch (e) {
+      // a failing listener must not break the transaction
+      setTimeout(() => {
+        throw e
+      })
+    }
+  }
+}
+
+/**
+ * Emits query:start and returns a function that emits query:end or query:error.
+ * Statements that take at least the slowQueryThreshold option (in ms) are passed to the slowQueryLogger.
+ *
+ * @param {String} method name of the calling helper
+ * @param {String} query
+ * @param {Array} parameters
+ * @param {Integer} transactionId id of the transaction handle or null
+ * @returns {Function} (error, resultSet) => undefined; resultSet is undefined for sqlBatch
+ */
+function trackQuery (method, query, parameters, transactionId) {
+  const data = { method, sql: query, params: parameters, transactionId }
+  emit.bind(this)('query:start', data)
+  const start = Date.now()
+  return (error, rs) => {
+    const duration = Date.now() - start
+    if (error) {
+      emit.bind(this)('query:error', { ...data, duration, error })
+    } else {
+      // sqlBatch has no result sets
+      emit.bind(this)('query:end', {
+        ...data,
+        duration,
+        rowCount: rs ? rs.rows.length : undefined,
+        rowsAffected: rs ? rs.rowsAffected : undefined
+      })
+    }
+    if (this.options.slowQueryThreshold !== undefined && duration >= this.options.slowQueryThreshold) {
+      this.options.slowQueryLogger(`Slow query (${duration} ms) in ${method}: ${query}`, parameters)
+    }
+  }
+}
+
+// CREATE, ALTER or DROP as first keyword after whitespace and comments
+const schemaChangePattern = /^(?:\s|--[^\n]*\n?|\/\*[\s\S]*?\*\/)*(CREATE|ALTER|DROP)\b/i
+
+/**
+ * Forgets the cached schema after a statement that changes tables (CREATE, ALTER or DROP)
+ *
+ * @param {String} query
+ */
+function clearSchemaAfter (query) {
+  if (schemaChangePattern.test(query)) {
+    this.schema.clear()
+  }
+}
+
+/**
+ * Executes a single statement in its own transaction and returns the raw result set.
+ * Every helper runs its SQL through this method, so a transaction handle only has to provide its own version of it.
+ *
+ * @param {String} method name of the calling helper; passed to the logger
+ * @param {String} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
+ * @param {Array} bindParameters the values for the placeholders
+ * @param {Boolean} readOnly run the statement in a readTransaction
+ * @returns {SQLResultSet}
+ */
+DB.prototype.executeSql = async function (method, query, bindParameters = [], readOnly = false) {
+  [query, bindParameters] = prepareQuery(query, bindParameters)
+  // the callbacks of WebSQL have no stack of the caller
+  const { stack } = new Error()
+  return callPlugins.bind(this)(
+    'execute',
+    { method, sql: query, params: bindParameters, readOnly, transactionId: null, db: this },
+    ({ sql, params }) => executeStatement.bind(this)(method, sql, params, readOnly, stack)
+  )
+}
+
+async function executeStatement (method, query, bindParameters, readOnly, stack) {
   const db = await this.connection()
   return new Promise((resolve, reject) => {
-    db.transaction(tx => {
-      this.options.logger('run', query, ...bindParameters)
+    db[readOnly ? 'readTransaction' : 'transaction'](tx => {
+      this.options.logger(method, query, ...bindParameters)
+      const finish = trackQuery.bind(this)(method, query, bindParameters, null)
       tx.executeSql(
         query,
         bindParameters,
-        function (tx, rs) {
+        (tx, rs) => {
+          finish(null, rs)
+          clearSchemaAfter.bind(this)(query)
           resolve(rs)
         },
-        function (tx, error) {
-          error.query = query
-          error.parameters = bindParameters
+        (tx, sqlError) => {
+          const error = createDatabaseError(sqlError, query, bindParameters, stack)
+          finish(error)
           reject(error)
         }
       )
@@ -98,6 +325,168 @@ DB.prototype.run = async function (query, ...bindParameters) {
   })
 }
 
+/**
+ * Converts the query and its parameters to what executeSql of WebSQL understands.
+ * A fragment of the sql tagged template brings its own parameters.
+ * A single object as parameter binds named parameters (:name, @name or $name) by its keys.
+ * An array as value of a placeholder is expanded to one placeholder per entry, f.e. for "id IN (?)".
+ * An empty array results in an empty subquery, so "IN (?)" is always false and "NOT IN (?)" always true.
+ *
+ * @param {String} query the SQL-Query
+ * @param {Array} bindParameters the parameters given to the helper
+ * @returns {Array} the query and the positional parameters
+ */
+function prepareQuery (query, bindParameters) {
+  if (query instanceof SqlFragment) {
+    return [query.text, [...query.values, ...bindParameters]]
+  }
+  const named = bindParameters.length === 1 && isPlainObject(bindParameters[0])
+  if (!named && !bindParameters.some(Array.isArray)) {
+    return [query, bindParameters]
+  }
+
+  const parameter = []
+  let index = 0
+  const sql = tokenize(query).map(token => {
+    if (token.type !== 'parameter') {
+      return token.text
+    }
+    const value = named
+      ? getNamedParameter(query, token.text, bindParameters[0])
+      : getPositionalParameter(query, token.text, bindParameters, index++)
+    if (!Array.isArray(value)) {
+      parameter.push(value)
+      return '?'
+    }
+    if (!value.length) {
+      return 'SELECT NULL WHERE 0'
+    }
+    parameter.push(...value)
+    return value.map(() => '?').join(', ')
+  })
+  if (!named) {
+    // too many parameters are reported by WebSQL
+    parameter.push(...bindParameters.slice(index))
+  }
+  return [sql.join(''), parameter]
+}
+
+function getNamedParameter (query, placeholder, namedParameters) {
+  if (placeholder[0] === '?') {
+    throw new Error(
+      `Positional parameter ${placeholder} can not be mixed with named parameters in query: ${query}`
+    )
+  }
+  const name = placeholder.slice(1)
+  if (Object.prototype.hasOwnProperty.call(namedParameters, name)) {
+    return namedParameters[name]
+  }
+  if (Object.prototype.hasOwnProperty.call(namedParameters, placeholder)) {
+    return namedParameters[placeholder]
+  }
+  throw new Error(`Named parameter ${placeholder} is missing for query: ${query}`)
+}
+
+function getPositionalParameter (query, placeholder, bindParameters, index) {
+  if (placeholder !== '?') {
+    throw new Error(
+      `Arrays can only be bound to ? and not to ${placeholder} in query: ${query}`
+    )
+  }
+  if (index >= bindParameters.length) {
+    throw new Error(`Parameter ${index + 1} is missing for query: ${query}`)
+  }
+  return bindParameters[index]
+}
+
+function isPlainObject (value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+  )
+}
+
+/**
+ * Executes a script with several statements in one transaction. Unlike run, which only executes the first
+ * statement, it splits the script at the semicolons that end a statement (not the ones in strings, comments or
+ * trigger bodies). It doesn't take bind parameters.
+ *
+ * @example DB().exec('CREATE TABLE a (id INTEGER); CREATE INDEX a_id ON a (id);')
+ * @param {String|SqlFragment} script the SQL statements; a fragment of sql`...` without values
+ * @returns {undefined}
+ */
+DB.prototype.exec = async function (script) {
+  if (script instanceof SqlFragment) {
+    if (script.values.length) {
+      throw new Error('A script can not have bind parameters for the exec command of DB()')
+    }
+    script = script.text
+  }
+  if (typeof script !== 'string') {
+    throw new TypeError('The script needs to be a string or sql`...` for the exec command of DB()')
+  }
+  const statements = splitStatements(script)
+  if (!statements.length) {
+    return
+  }
+  if (
+    this instanceof DB &&
+    this.options.db.sqlBatch &&
+    !this.plugins.some(plugin => typeof plugin.execute === 'function')
+  ) {
+    // the driver runs all statements in one transaction; the execute hook of plugins needs them one by one
+    await execBatch.bind(this)(statements)
+    return
+  }
+  await this.transaction(async t => {
+    for (const query of statements) {
+      await t.executeSql('exec', query)
+    }
+  })
+}
+
+/**
+ * Runs the statements of exec with sqlBatch of the driver. It doesn't tell which statement failed, so every
+ * statement gets the error; they are all rolled back.
+ *
+ * @param {Array} statements
+ */
+async function execBatch (statements) {
+  const { stack } = new Error()
+  const db = await this.connection()
+  const finishes = statements.map(query => {
+    this.options.logger('exec', query)
+    return trackQuery.bind(this)('exec', query, [], null)
+  })
+  try {
+    await db.sqlBatch(statements)
+  } catch (e) {
+    const error = createDatabaseError(e, statements.join(';\n'), [], stack)
+    finishes.forEach(finish => finish(error))
+    throw error
+  }
+  finishes.forEach(finish => finish(null))
+  statements.forEach(query => clearSchemaAfter.bind(this)(query))
+}
+
+/**
+ * Executes the prepared statement. When execution completes it returns an info object describing any changes made. The info object has two properties:
+ *
+ * info.changes: The total number of rows that were inserted, updated, or deleted by this operation. Changes made by foreign key actions or trigger programs do not count.
+ * info.lastID: The rowid of the last row inserted into the database (ignoring those caused by trigger programs). If the current statement did not insert any rows into the database, this number should be completely ignored.
+ *
+ * If execution of the statement fails, an Error is thrown.
+ * @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#runbindparameters---object
+ *
+ * @param {Object} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
+ * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
+ * @returns {object}
+ */
+DB.prototype.run = async function (query, ...bindParameters) {
+  return this.executeSql('run', query, bindParameters)
+}
+
 /**
  * Returns all values of a query
  * @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#allbindparameters---array-of-rows
@@ -107,26 +496,8 @@ DB.prototype.run = async function (query, ...bindParameters) {
  * @returns {array}
  */
 DB.prototype.query = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    db.readTransaction(tx => {
-      this.options.logger('query', query, ...bindParameters)
-      tx.executeSql(
-        query,
-        bindParameters,
-        function (tx, rs) {
-          resolve(
-            Array.from({ length: rs.rows.length }, (v, i) => rs.rows.item(i))
-          )
-        },
-        function (tx, error) {
-          error.query = query
-          error.parameters = bindParameters
-          reject(error)
-        }
-      )
-    })
-  })
+  const rs = await this.executeSql('query', query, bindParameters, true)
+  return Array.from({ length: rs.rows.length }, (v, i) => rs.rows.item(i))
 }
 
 /**
@@ -138,24 +509,8 @@ DB.prototype.query = async function (query, ...bindParameters) {
  * @returns {Object|null}
  */
 DB.prototype.queryFirstRow = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    db.readTransaction(tx => {
-      this.options.logger('queryFirstRow', query, ...bindParameters)
-      tx.executeSql(
-        query,
-        bindParameters,
-        function (tx, rs) {
-          resolve(rs.rows.length ? rs.rows.item(0) : null)
-        },
-        function (tx, error) {
-          error.query = query
-          error.parameters = bindParameters
-          reject(error)
-        }
-      )
-    })
-  })
+  const rs = await this.executeSql('queryFirstRow', query, bindParameters, true)
+  return rs.rows.length ? rs.rows.item(0) : null
 }
 
 /**
@@ -169,24 +524,8 @@ DB.prototype.queryFirstRow = async function (query, ...bindParameters) {
  * @returns {Object}
  */
 DB.prototype.queryFirstRowObject = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    db.readTransaction(tx => {
-      this.options.logger('queryFirstRowObject', query, ...bindParameters)
-      tx.executeSql(
-        query,
-        bindParameters,
-        function (tx, rs) {
-          resolve(rs.rows.length ? rs.rows.item(0) : {})
-        },
-        function (tx, error) {
-          error.query = query
-          error.parameters = bindParameters
-          reject(error)
-        }
-      )
-    })
-  })
+  const rs = await this.executeSql('queryFirstRowObject', query, bindParameters, true)
+  return rs.rows.length ? rs.rows.item(0) : {}
 }
 
 /**
@@ -197,26 +536,10 @@ DB.prototype.queryFirstRowObject = async function (query, ...bindParameters) {
  * @returns {any}
  */
 DB.prototype.queryFirstCell = async function (query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    db.readTransaction(tx => {
-      this.options.logger('queryFirstCell', query, ...bindParameters)
-      tx.executeSql(
-        query,
-        bindParameters,
-        function (tx, rs) {
-          const obj = rs.rows.length ? rs.rows.item(0) : {}
-          const keys = Object.keys(obj)
-          resolve(keys.length ? obj[keys[0]] : undefined)
-        },
-        function (tx, error) {
-          error.query = query
-          error.parameters = bindParameters
-          reject(error)
-        }
-      )
-    })
-  })
+  const rs = await this.executeSql('queryFirstCell', query, bindParameters, true)
+  const obj = rs.rows.length ? rs.rows.item(0) : {}
+  const keys = Object.keys(obj)
+  return keys.length ? obj[keys[0]] : undefined
 }
 
 /**
@@ -228,29 +551,11 @@ DB.prototype.queryFirstCell = async function (query, ...bindParameters) {
  * @returns {array}
  */
 DB.prototype.queryColumn = async function (column, query, ...bindParameters) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    db.readTransaction(tx => {
-      this.options.logger('queryColumn', column, query, ...bindParameters)
-      tx.executeSql(
-        query,
-        bindParameters,
-        function (tx, rs) {
-          resolve(
-            Array.from(
-              { length: rs.rows.length },
-              (v, i) => rs.rows.item(i)[column]
-            )
-          )
-        },
-        function (tx, error) {
-          error.query = query
-          error.parameters = bindParameters
-          reject(error)
-        }
-      )
-    })
-  })
+  const rs = await this.executeSql('queryColumn', query, bindParameters, true)
+  return Array.from(
+    { length: rs.rows.length },
+    (v, i) => rs.rows.item(i)[column]
+  )
 }
 
 /**
@@ -268,55 +573,383 @@ DB.prototype.queryKeyAndColumn = async function (
   query,
   ...bindParameters
 ) {
-  const db = await this.connection()
-  return new Promise((resolve, reject) => {
-    db.readTransaction(tx => {
-      this.options.logger('queryKeyAndColumn', key, column, query, ...bindParameters)
-      tx.executeSql(
-        query,
-        bindParameters,
-        function (tx, rs) {
-          resolve(
-            Object.fromEntries(
-              Array.from({ length: rs.rows.length }, (v, i) => {
-                const item = rs.rows.item(i)
-                return [item[key], item[column]]
-              })
-            )
-          )
-        },
-        function (tx, error) {
-          error.query = query
-          error.parameters = bindParameters
-          reject(error)
-        }
-      )
+  const rs = await this.executeSql('queryKeyAndColumn', query, bindParameters, true)
+  return Object.fromEntries(
+    Array.from({ length: rs.rows.length }, (v, i) => {
+      const item = rs.rows.item(i)
+      return [item[key], item[column]]
     })
-  })
+  )
 }
 
 /**
- * Create an update statement; create more complex one with exec yourself.
+ * Create a select statement; create more complex one with query yourself.
  *
+ * @example const users = DB().select('users', {where: {age: {'>': 18}}, orderBy: {lastName: 'ASC'}, limit: 10})
  * @param {String} table Name of the table
- * @param {Object} data a Object of data to set. Key is the name of the column. Value 'undefined' is filtered
- * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
- * @param {undefined|Array} whiteList optional List of columns that can only be updated with "data"
- * @returns {Integer}
+ * @param {Object} options optional. where: like the where of update (array, object or id) but optional,
+ *   columns: array of column names (default all), orderBy: a string or an object with columns as key and 'ASC' or 'DESC' as value,
+ *   limit: maximum number of rows, offset: number of rows to skip
+ * @returns {array}
  */
-DB.prototype.update = async function (table, data, where, whiteList) {
-  if (!where) {
-    throw new Error('Where is missing for the update command of DB()')
-  }
-  if (!table) {
-    throw new Error('Table is missing for the update command of DB()')
-  }
-  if (!typeof data === 'object' || !Object.keys(data).length) {
-    return 0
-  }
+DB.prototype.select = async function (table, options) {
+  return helpers.query.bind(this)(...createSelectStatement(table, options))
+}
 
-  // Build start of where query
-  let sql = `UPDATE \`${table}\` SET `
+/**
+ * Returns the values of the first row of a select statement
+ * @see DB.prototype.select
+ *
+ * @param {String} table Name of the table
+ * @param {Object} options optional. where, columns, orderBy and offset like in select
+ * @returns {Object|null}
+ */
+DB.prototype.selectFirstRow = async function (table, options = {}) {
+  return helpers.queryFirstRow.bind(this)(...createSelectStatement(table, { ...options, limit: 1 }))
+}
+
+/**
+ * Returns an Array that only contains the values of the specified column of a select statement
+ * @see DB.prototype.select
+ *
+ * @param {String} column Name of the column
+ * @param {String} table Name of the table
+ * @param {Object} options optional. where, columns, orderBy, limit and offset like in select
+ * @returns {array}
+ */
+DB.prototype.selectColumn = async function (column, table, options = {}) {
+  return helpers.queryColumn.bind(this)(
+    column,
+    ...createSelectStatement(table, { columns: [column], ...options })
+  )
+}
+
+/**
+ * Returns a Object that get it key-value-combination from the result of a select statement
+ * @see DB.prototype.select
+ *
+ * @param {String} key Name of the column that values should be the key
+ * @param {String} column Name of the column that values should be the value for the object
+ * @param {String} table Name of the table
+ * @param {Object} options optional. where, columns, orderBy, limit and offset like in select
+ * @returns {object}
+ */
+DB.prototype.selectKeyAndColumn = async function (key, column, table, options = {}) {
+  return helpers.queryKeyAndColumn.bind(this)(
+    key,
+    column,
+    ...createSelectStatement(table, { columns: [key, column], ...options })
+  )
+}
+
+function createSelectStatement (
+  table,
+  { where, columns, orderBy, limit, offset } = {}
+) {
+  if (!table) {
+    throw new Error('Table is missing for the select command of DB()')
+  }
+  let parameter = []
+  let sql = 'SELECT ' +
+    (Array.isArray(columns) && columns.length
+      ? columns.map(quoteIdentifier).join(', ')
+      : '*') +
+    ` FROM ${quoteIdentifier(table)}`
+
+  if (where !== undefined && where !== null) {
+    const [whereTerm, ...whereParameter] = createWhere('select', where)
+    sql += ` WHERE ${whereTerm}`
+    parameter = whereParameter
+  }
+
+  if (typeof orderBy === 'string') {
+    sql += ` ORDER BY ${orderBy}`
+  } else if (Array.isArray(orderBy) && orderBy.length) {
+    sql += ` ORDER BY ${orderBy.map(quoteIdentifier).join(', ')}`
+  } else if (orderBy && Object.keys(orderBy).length) {
+    sql += ' ORDER BY ' + Object.keys(orderBy).map(column => {
+      const direction = String(orderBy[column]).toUpperCase()
+      if (direction !== 'ASC' && direction !== 'DESC') {
+        throw new Error(`Order of \`${column}\` has to be ASC or DESC for the select command of DB()`)
+      }
+      return `${quoteIdentifier(column)} ${direction}`
+    }).join(', ')
+  }
+
+  if (limit !== undefined || offset !== undefined) {
+    sql += ' LIMIT ?'
+    parameter.push(limit === undefined ? -1 : limit)
+    if (offset !== undefined) {
+      sql += ' OFFSET ?'
+      parameter.push(offset)
+    }
+  }
+  return [sql, ...parameter]
+}
+
+/**
+ * Returns an async iterator over the rows of a query. The rows are fetched in pages, each in its own readTransaction,
+ * so only one page is in memory and stopping early (break) leaves no transaction open.
+ *
+ * Instead of a query you can give an object with options:
+ *   query: the SQL-Query; key: optional column of the result with unique, sortable values (f.e. 'id').
+ *     With a key the pages are fetched with "key > last key" (keyset pagination) instead of LIMIT/OFFSET
+ *   table, where, columns, orderBy: like in select; without orderBy the pages are fetched by rowid
+ *   pageSize: number of rows per page (default 100)
+ *
+ * @example for await (const row of DB().iterate({ table: 'log', where: { level: 'error' } })) { ... }
+ * @param {String|Object} query the SQL-Query that should be run or an object with options
+ * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
+ * @returns {AsyncIterator}
+ */
+DB.prototype.iterate = async function * (query, ...bindParameters) {
+  const options = isPlainObject(query) ? query : { query }
+  const pageSize = options.pageSize || 100
+  let key = options.table ? (options.orderBy ? undefined : 'rowid') : options.key
+  let lastKey
+  let offset = 0
+  while (true) {
+    let rows
+    try {
+      rows = await helpers.query.bind(this)(
+        ...createPageStatement(options, bindParameters, { pageSize, key, lastKey, offset })
+      )
+    } catch (e) {
+      if (!options.table || !key || offset) {
+        throw e
+      }
+      // tables WITHOUT ROWID
+      key = undefined
+      continue
+    }
+    for (const item of rows) {
+      if (options.table && key) {
+        const { [rowidAlias]: rowid, ...row } = item
+        lastKey = rowid
+        yield row
+      } else {
+        lastKey = key ? item[key] : undefined
+        yield item
+      }
+    }
+    if (rows.length < pageSize) {
+      return
+    }
+    offset += rows.length
+  }
+}
+
+const rowidAlias = 'websql_helper_rowid'
+
+function createPageStatement (
+  { query, table, where, columns, orderBy },
+  bindParameters,
+  { pageSize, key, lastKey, offset }
+) {
+  if (table) {
+    if (!key) {
+      return createSelectStatement(table, { where, columns, orderBy, limit: pageSize, offset })
+    }
+    const conditions = []
+    let parameter = []
+    if (where !== undefined && where !== null) {
+      const [whereTerm, ...whereParameter] = createWhere('iterate', where)
+      conditions.push(`(${whereTerm})`)
+      parameter = whereParameter
+    }
+    if (lastKey !== undefined) {
+      conditions.push('rowid > ?')
+      parameter.push(lastKey)
+    }
+    return [
+      `SELECT rowid AS ${quoteIdentifier(rowidAlias)}, ` +
+        (Array.isArray(columns) && columns.length ? columns.map(quoteIdentifier).join(', ') : '*') +
+        ` FROM ${quoteIdentifier(table)}` +
+        (conditions.length ? ` WHERE ${conditions.join(' AND ')}` : '') +
+        ' ORDER BY rowid LIMIT ?',
+      ...parameter,
+      pageSize
+    ]
+  }
+
+  if (!query) {
+    throw new Error('Query or table is missing for the iterate command of DB()')
+  }
+  const [text, parameter] = prepareSubquery(query, bindParameters)
+  if (!key) {
+    return [`SELECT * FROM (${text}) LIMIT ? OFFSET ?`, ...parameter, pageSize, offset]
+  }
+  if (lastKey === undefined) {
+    return [`SELECT * FROM (${text}) ORDER BY ${quoteIdentifier(key)} LIMIT ?`, ...parameter, pageSize]
+  }
+  return [
+    `SELECT * FROM (${text}) WHERE ${quoteIdentifier(key)} > ? ORDER BY ${quoteIdentifier(key)} LIMIT ?`,
+    ...parameter,
+    lastKey,
+    pageSize
+  ]
+}
+
+/**
+ * Returns one page of the result of a query together with the total number of rows.
+ * The page and the count run in one readTransaction.
+ *
+ * @example const { rows, pageCount } = DB().queryPage('SELECT * FROM users WHERE active = ?', { page: 2, pageSize: 20 }, 1)
+ * @param {Object} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
+ * @param {Object} options optional. page: number of the page starting with 1 (default 1), pageSize: rows per page (default 20)
+ * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
+ * @returns {Object} {rows, total, page, pageSize, pageCount}
+ */
+DB.prototype.queryPage = async function (
+  query,
+  { page = 1, pageSize = 20 } = {},
+  ...bindParameters
+) {
+  if (!(page >= 1) || !(pageSize >= 1)) {
+    throw new Error('page and pageSize have to be at least 1 for the queryPage command of DB()')
+  }
+  const [text, parameter] = prepareSubquery(query, bindParameters)
+  const [rows, total] = await this.readTransaction(t =>
+    Promise.all([
+      helpers.query.bind(t)(`SELECT * FROM (${text}) LIMIT ? OFFSET ?`, ...parameter, pageSize, (page - 1) * pageSize),
+      helpers.queryFirstCell.bind(t)(`SELECT COUNT(1) FROM (${text})`, ...parameter)
+    ])
+  )
+  return { rows, total, page, pageSize, pageCount: Math.ceil(total / pageSize) }
+}
+
+/**
+ * Returns the rows after a cursor; stable for infinite scrolling even if rows are inserted in between.
+ * The rows are ordered by a column with unique values (key) and the last value of a page is the cursor for the next one.
+ *
+ * @example const { rows, cursor, hasMore } = DB().queryCursorPage('SELECT * FROM messages', { key: 'id', after: lastCursor })
+ * @param {Object} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
+ * @param {Object} options key: required column of the result with unique values, after: the cursor of the last page (undefined for the first page),
+ *   pageSize: rows per page (default 20), order: 'ASC' (default) or 'DESC'
+ * @param {any} bindParameters You can specify bind parameters @see https://github.com/JoshuaWise/better-sqlite3/wiki/API#binding-parameters
+ * @returns {Object} {rows, cursor, hasMore}
+ */
+DB.prototype.queryCursorPage = async function (
+  query,
+  { key, after, pageSize = 20, order = 'ASC' } = {},
+  ...bindParameters
+) {
+  if (!key) {
+    throw new Error('Key is missing for the queryCursorPage command of DB()')
+  }
+  order = String(order).toUpperCase()
+  if (order !== 'ASC' && order !== 'DESC') {
+    throw new Error('Order has to be ASC or DESC for the queryCursorPage command of DB()')
+  }
+  const [text, parameter] = prepareSubquery(query, bindParameters)
+  const column = quoteIdentifier(key)
+  const condition = after === undefined || after === null
+    ? ''
+    : ` WHERE ${column} ${order === 'ASC' ? '>' : '<'} ?`
+  // one more row tells if there is another page
+  const rows = await helpers.query.bind(this)(
+    `SELECT * FROM (${text})${condition} ORDER BY ${column} ${order} LIMIT ?`,
+    ...parameter,
+    ...(condition ? [after] : []),
+    pageSize + 1
+  )
+  const hasMore = rows.length > pageSize
+  if (hasMore) {
+    rows.length = pageSize
+  }
+  return {
+    rows,
+    cursor: rows.length ? rows[rows.length - 1][key] : after,
+    hasMore
+  }
+}
+
+/**
+ * Prepares a query to be used as subquery: converts the parameters and removes a trailing semicolon
+ *
+ * @returns {Array} the query and the positional parameters
+ */
+function prepareSubquery (query, bindParameters) {
+  const [text, parameter] = prepareQuery(query, bindParameters)
+  return [text.trim().replace(/;$/, ''), parameter]
+}
+
+const batchMethods = [
+  'query',
+  'queryFirstRow',
+  'queryFirstRowObject',
+  'queryFirstCell',
+  'queryColumn',
+  'queryKeyAndColumn',
+  'select',
+  'selectFirstRow',
+  'selectColumn',
+  'selectKeyAndColumn'
+]
+
+/**
+ * Runs many read queries in one readTransaction. Every entry is an array with the name of a query helper
+ * and its parameters. A string is a shorthand for ['query', string].
+ * The results are returned in order in the format of Promise.allSettled, so an error of one query doesn't affect the others.
+ *
+ * @example const [users, count] = DB().batch([
+ *   'SELECT * FROM users',
+ *   ['queryFirstCell', 'SELECT COUNT(1) FROM orders WHERE userId = ?', userId]
+ * ])
+ * @param {Array} queries list of queries; f.e. [['queryColumn', 'email', 'SELECT email FROM users'], ...]
+ * @returns {Array} for every query {status: 'fulfilled', value} or {status: 'rejected', reason}
+ */
+DB.prototype.batch = async function (queries) {
+  queries = normalizeBatch(queries)
+  return this.readTransaction(t => runBatch(t, queries))
+}
+
+function normalizeBatch (queries) {
+  if (!Array.isArray(queries)) {
+    throw new Error('batch() of DB() needs an array of queries')
+  }
+  return queries.map(entry => {
+    const [method, ...args] = Array.isArray(entry) ? entry : ['query', entry]
+    if (!batchMethods.includes(method)) {
+      throw new Error(`${method} can not be used in batch() of DB()`)
+    }
+    return [method, ...args]
+  })
+}
+
+function runBatch (t, queries) {
+  return Promise.all(
+    queries.map(([method, ...args]) =>
+      t[method](...args).then(
+        value => ({ status: 'fulfilled', value }),
+        reason => ({ status: 'rejected', reason })
+      )
+    )
+  )
+}
+
+/**
+ * Create an update statement; create more complex one with exec yourself.
+ *
+ * @param {String} table Name of the table
+ * @param {Object} data a Object of data to set. Key is the name of the column. Value 'undefined' is filtered
+ * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+ * @param {undefined|Array} whiteList optional List of columns that can only be updated with "data"
+ * @returns {Integer}
+ */
+DB.prototype.update = async function (table, data, where, whiteList) {
+  if (!where) {
+    throw new Error('Where is missing for the update command of DB()')
+  }
+  if (!table) {
+    throw new Error('Table is missing for the update command of DB()')
+  }
+  if (!typeof data === 'object' || !Object.keys(data).length) {
+    return 0
+  }
+
+  // Build start of where query
+  let sql = `UPDATE ${quoteIdentifier(table)} SET `
   let parameter = []
 
   // Build data part of the query
@@ -326,7 +959,7 @@ DB.prototype.update = async function (table, data, where, whiteList) {
     // don't set undefined and only values in an optional whitelist
     if (value !== undefined && (!whiteList || whiteList.includes(keyOfData))) {
       parameter.push(value)
-      setStringBuilder.push(`\`${keyOfData}\` = ?`)
+      setStringBuilder.push(`${quoteIdentifier(keyOfData)} = ?`)
     }
   }
   if (!setStringBuilder.length) {
@@ -336,32 +969,12 @@ DB.prototype.update = async function (table, data, where, whiteList) {
   sql += setStringBuilder.join(', ')
 
   // Build where part of query
-  sql += ' WHERE '
-  if (Array.isArray(where)) {
-    const [whereTerm, ...whereParameter] = where
-    sql += whereTerm
-    parameter = [...parameter, ...whereParameter]
-  } else if (typeof where === 'object') {
-    const whereStringBuilder = []
-    for (const keyOfWhere in where) {
-      const value = where[keyOfWhere]
-      if (value !== undefined) {
-        parameter.push(value)
-        whereStringBuilder.push(`\`${keyOfWhere}\` = ?`)
-      }
-    }
-    if (!whereStringBuilder.length) {
-      throw new Error(
-        'Where is not constructed for the update command of DB()'
-      )
-    }
-    sql += whereStringBuilder.join(' AND ')
-  } else {
-    sql += 'id = ?'
-    parameter.push(where)
-  }
+  const [whereTerm, ...whereParameter] = createWhere('update', where)
+  sql += ` WHERE ${whereTerm}`
+  parameter = [...parameter, ...whereParameter]
 
-  return (await this.run(sql, ...parameter)).rowsAffected
+  // a fragment, so an array as value of a column is bound as it is and not expanded like a parameter
+  return (await this.executeSql('update', new SqlFragment(sql, parameter))).rowsAffected
 }
 
 /**
@@ -379,7 +992,7 @@ DB.prototype.updateWithBlackList = async function (
   where,
   blackList
 ) {
-  return this.update(
+  return helpers.update.bind(this)(
     table,
     data,
     where,
@@ -388,130 +1001,484 @@ DB.prototype.updateWithBlackList = async function (
 }
 
 /**
- * Create an insert statement; create more complex one with exec yourself.
+ * Inserts the data or updates the existing row if a row with the same values in the conflict columns exists.
+ * Other than replace, the row is not deleted before, so columns that are not in "data" keep their values.
+ * Uses INSERT ... ON CONFLICT DO UPDATE (SQLite 3.24.0); older versions run an update and an insert in one transaction.
  *
+ * @example await DB().upsert('Setting', {key: 'theme', value: 'dark'}, ['key'])
  * @param {String} table Name of the table
  * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
- * @param {undefined|Array} whiteList optional List of columns that only can be updated with "data"
- * @returns {Integer} The ID of the last inserted row
+ * @param {String|Array} conflictColumns required. Columns of a unique index or the primary key; need to be in "data"
+ * @param {Object} options optional; updateColumns: columns that are updated on a conflict (default: all columns of "data" except the conflictColumns), whiteList: List of columns that can only be set with "data"
+ * @returns {Integer} The number of inserted or updated rows
  */
-DB.prototype.insert = async function (table, data, whiteList) {
-  return (
-    await this.run(
-      ...createInsertOrReplaceStatement('INSERT', table, data, whiteList)
+DB.prototype.upsert = async function (
+  table,
+  data,
+  conflictColumns,
+  { updateColumns, whiteList } = {}
+) {
+  if (!table) {
+    throw new Error('Table is missing for the upsert command of DB()')
+  }
+  if (!Array.isArray(conflictColumns)) {
+    conflictColumns = conflictColumns ? [conflictColumns] : []
+  }
+  if (!conflictColumns.length) {
+    throw new Error('Conflict columns are missing for the upsert command of DB()')
+  }
+  if (!Array.isArray(data)) {
+    data = [data]
+  }
+
+  const rows = data.map(rowData => {
+    const fields = Object.keys(rowData).filter(
+      v =>
+        rowData[v] !== undefined &&
+        (!Array.isArray(whiteList) || whiteList.includes(v) || conflictColumns.includes(v))
     )
-  ).insertId
-}
+    conflictColumns.forEach(v => {
+      if (!fields.includes(v)) {
+        throw new Error(`Conflict column \`${v}\` is missing in the data for the upsert command of DB()`)
+      }
+    })
+    const updateFields = fields.filter(
+      v =>
+        !conflictColumns.includes(v) &&
+        (!Array.isArray(updateColumns) || updateColumns.includes(v))
+    )
+    return { fields, updateFields, rowData }
+  })
+  if (!rows.length) {
+    return 0
+  }
 
-/**
- * Create an insert statement; create more complex one with exec yourself.
- *
- * @param {String} table Name of the table
- * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
- * @param {undefined|Array} whiteBlackList optional List of columns that can not be updated with "data" (blacklist)
- * @returns {Integer} The ID of the last inserted row
- */
-DB.prototype.insertWithBlackList = async function (table, data, blackList) {
-  return this.insert(
-    table,
-    data,
-    await createWhiteListByBlackList.bind(this)(table, blackList)
-  )
+  if (await isSqliteVersion.bind(this)([3, 24, 0])) {
+    return this.transaction(async t => {
+      let rowsAffected = 0
+      for (const { fields, updateFields, rowData } of rows) {
+        const [sql, ...parameter] = createInsertOrReplaceStatement('INSERT', table, fields, [rowData])
+        rowsAffected += (
+          await t.executeSql(
+            'upsert',
+            new SqlFragment(
+              `${sql} ON CONFLICT (${conflictColumns.map(quoteIdentifier).join(',')}) DO ` +
+                (updateFields.length
+                  ? 'UPDATE SET ' + updateFields.map(v => `${quoteIdentifier(v)} = excluded.${quoteIdentifier(v)}`).join(', ')
+                  : 'NOTHING'),
+              parameter
+            )
+          )
+        ).rowsAffected
+      }
+      return rowsAffected
+    })
+  }
+
+  return this.transaction(async t => {
+    let rowsAffected = 0
+    for (const { fields, updateFields, rowData } of rows) {
+      const where = Object.fromEntries(conflictColumns.map(v => [v, rowData[v]]))
+      if (updateFields.length) {
+        const updated = await helpers.update.bind(t)(table, rowData, where, updateFields)
+        if (updated) {
+          rowsAffected += updated
+          continue
+        }
+      } else {
+        const [whereTerm, ...parameter] = createWhere('upsert', where)
+        if (await helpers.queryFirstCell.bind(t)(`SELECT COUNT(1) FROM ${quoteIdentifier(table)} WHERE ${whereTerm}`, ...parameter)) {
+          continue
+        }
+      }
+      const [sql, ...parameter] = createInsertOrReplaceStatement('INSERT', table, fields, [rowData])
+      rowsAffected += (await t.executeSql('upsert', new SqlFragment(sql, parameter))).rowsAffected
+    }
+    return rowsAffected
+  })
 }
 
 /**
- * Create an replace statement; create more complex one with exec yourself.
+ * Create a delete statement; create more complex one with exec yourself.
  *
  * @param {String} table Name of the table
- * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
- * @param {undefined|Array} whiteList optional List of columns that only can be updated with "data"
- * @returns {Integer} The number of replaced entries
+ * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+ * @param {undefined|Array} whiteList optional List of columns that can be used in an object as "where"
+ * @returns {Integer} The number of deleted rows
  */
-DB.prototype.replace = async function (table, data, whiteList) {
+DB.prototype.delete = async function (table, where, whiteList) {
+  if (!where) {
+    throw new Error('Where is missing for the delete command of DB()')
+  }
+  if (!table) {
+    throw new Error('Table is missing for the delete command of DB()')
+  }
+
+  const [whereTerm, ...parameter] = createWhere('delete', where, whiteList)
+
   return (
-    await this.run(
-      ...createInsertOrReplaceStatement('REPLACE', table, data, whiteList)
-    )
+    await this.executeSql('delete', `DELETE FROM ${quoteIdentifier(table)} WHERE ${whereTerm}`, parameter)
   ).rowsAffected
 }
 
 /**
- * Create an replace statement; create more complex one with exec yourself.
+ * Create a delete statement; create more complex one with exec yourself.
+ * The keys of an object as "where" need to be columns of the table that are not in the blacklist.
  *
  * @param {String} table Name of the table
- * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
- * @param {undefined|Array} whiteBlackList optional List of columns that can not be updated with "data" (blacklist)
- * @returns {Integer} The ID of the last replaced row
+ * @param {String|Array|Object} where required. array with a string and the replacements for ? after that. F.e. ['id > ? && name = ?', id, name]. Or an object with key values. F.e. {id: params.id}. Or simply an ID that will be translated to ['id = ?', id]
+ * @param {undefined|Array} blackList optional List of columns that can not be used in an object as "where"
+ * @returns {Integer} The number of deleted rows
  */
-DB.prototype.replaceWithBlackList = async function (table, data, blackList) {
-  return this.replace(
+DB.prototype.deleteWithBlackList = async function (table, where, blackList = []) {
+  return helpers.delete.bind(this)(
     table,
-    data,
+    where,
     await createWhiteListByBlackList.bind(this)(table, blackList)
   )
 }
 
-DB.prototype.parseTable = function (table) {
-  var s = table.sql.split(',')
-  s[0] = s[0].replace(
-    new RegExp('create\\s+table\\s+`?' + table.name + '`?\\s*\\(', 'i'),
-    ''
-  )
-  table.fields = s
-    .filter(function (i) {
-      return i.indexOf(')') === -1
-    })
-    .map(function (i) {
-      return i
-        .trim()
-        .split(/\s/)
-        .shift()
-        .replace(/`/g, '')
-    })
-  return table
-}
+const whereOperators = [
+  '=',
+  '!=',
+  '<>',
+  '<',
+  '<=',
+  '>',
+  '>=',
+  'like',
+  'not like',
+  'glob',
+  'is',
+  'is not',
+  'in',
+  'not in',
+  'between'
+]
 
-async function createWhiteListByBlackList (table, blackList) {
-  let whiteList
-  if (Array.isArray(blackList)) {
-    // get all avaible columns
-    try {
-      whiteList = await this.queryColumn(
-        'name',
-        `PRAGMA table_info('${table}')`
+/**
+ * Creates the where term for the where-parameter of update, delete and select
+ *
+ * @param {String} command name of the calling command for error messages
+ * @param {String|Array|Object|SqlFragment} where array with a string and the replacements for ? after that, object with key values, a fragment of sql`` or an ID.
+ *   Values of an object can be an array (f.e. {id: [1, 2]} for IN) or an object with operators (f.e. {age: {'>': 18, '<=': 65}})
+ * @param {undefined|Array} whiteList optional List of columns that can be used in an object
+ * @returns {Array} the where term followed by its parameters
+ */
+function createWhere (command, where, whiteList) {
+  if (where instanceof SqlFragment) {
+    return [where.text, ...where.values]
+  }
+  if (Array.isArray(where)) {
+    // the statements of the helpers don't expand arrays anymore, so the ones of the where are expanded here
+    const [text, parameter] = prepareQuery(where[0], where.slice(1))
+    return [text, ...parameter]
+  }
+  if (typeof where === 'object') {
+    const parameter = []
+    const whereStringBuilder = []
+    for (const keyOfWhere in where) {
+      const value = where[keyOfWhere]
+      if (value !== undefined) {
+        if (whiteList && !whiteList.includes(keyOfWhere)) {
+          throw new Error(
+            `\`${keyOfWhere}\` is not allowed in where for the ${command} command of DB()`
+          )
+        }
+        const operators = isPlainObject(value)
+          ? value
+          : { [Array.isArray(value) ? 'in' : '=']: value }
+        for (const operator in operators) {
+          const [term, ...termParameter] = createWhereOperator(
+            command,
+            quoteIdentifier(keyOfWhere),
+            operator,
+            operators[operator]
+          )
+          parameter.push(...termParameter)
+          whereStringBuilder.push(term)
+        }
+      }
+    }
+    if (!whereStringBuilder.length) {
+      throw new Error(
+        `Where is not constructed for the ${command} command of DB()`
       )
-    } catch (e) {
-      whiteList = this.parseTable(
-        await this.queryFirstRowObject(
-          `SELECT * FROM sqlite_master WHERE tbl_name = '${table}'`
-        )
-      ).fields
     }
-    // get only those not in the whiteBlackList
-    whiteList = whiteList.filter(v => !blackList.includes(v))
+    return [whereStringBuilder.join(' AND '), ...parameter]
   }
-  return whiteList
+  return ['id = ?', where]
 }
 
-function createInsertOrReplaceStatement (
-  insertOrReplace,
-  table,
-  data,
-  whiteList
-) {
-  if (!table) {
+function createWhereOperator (command, column, operator, value) {
+  const sqlOperator = operator.toLowerCase()
+  if (!whereOperators.includes(sqlOperator)) {
     throw new Error(
-      `Table is missing for the ${insertOrReplace} command of DB()`
+      `Operator ${operator} is not supported in where for the ${command} command of DB()`
     )
   }
-  if (!Array.isArray(data)) {
-    data = [data]
+  if (sqlOperator === 'in' || sqlOperator === 'not in') {
+    if (!Array.isArray(value)) {
+      value = [value]
+    }
+    if (!value.length) {
+      // nothing is in an empty list
+      return [sqlOperator === 'in' ? '0' : '1']
+    }
+    return [
+      `${column} ${sqlOperator.toUpperCase()} (${value.map(() => '?').join(', ')})`,
+      ...value
+    ]
+  }
+  if (sqlOperator === 'between') {
+    if (!Array.isArray(value) || value.length !== 2) {
+      throw new Error(
+        `Operator between needs an array with two values in where for the ${command} command of DB()`
+      )
+    }
+    return [`${column} BETWEEN ? AND ?`, ...value]
+  }
+  return [`${column} ${sqlOperator.toUpperCase()} ?`, value]
+}
+
+/**
+ * Create an insert statement; create more complex one with exec yourself.
+ * Big arrays are split into several statements (see options.maxVariables) that run in one transaction.
+ *
+ * @param {String} table Name of the table
+ * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
+ * @param {undefined|Array} whiteList optional List of columns that only can be updated with "data"
+ * @param {Object} options optional; {returnIds: true} returns the IDs of all inserted rows.
+ *   {missingColumns: 'error'} throws if the rows of an array don't have the same columns; by default missing columns get their default value
+ * @returns {Integer|Array} The ID of the last inserted row or with returnIds an array of all IDs
+ */
+DB.prototype.insert = async function (table, data, whiteList, options = {}) {
+  const results = await insertOrReplace.bind(this)('INSERT', table, data, whiteList, options)
+  if (options.returnIds) {
+    return results.map(rs => rs.insertId)
+  }
+  return results.length ? results[results.length - 1].insertId : undefined
+}
+
+/**
+ * Create an insert statement; create more complex one with exec yourself.
+ *
+ * @param {String} table Name of the table
+ * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
+ * @param {undefined|Array} whiteBlackList optional List of columns that can not be updated with "data" (blacklist)
+ * @param {Object} options optional; {returnIds: true} returns the IDs of all inserted rows
+ * @returns {Integer|Array} The ID of the last inserted row or with returnIds an array of all IDs
+ */
+DB.prototype.insertWithBlackList = async function (table, data, blackList, options) {
+  return helpers.insert.bind(this)(
+    table,
+    data,
+    await createWhiteListByBlackList.bind(this)(table, blackList),
+    options
+  )
+}
+
+/**
+ * Create an replace statement; create more complex one with exec yourself.
+ * Big arrays are split into several statements (see options.maxVariables) that run in one transaction.
+ *
+ * @param {String} table Name of the table
+ * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
+ * @param {undefined|Array} whiteList optional List of columns that only can be updated with "data"
+ * @param {Object} options optional; {returnIds: true} returns the IDs of all replaced rows.
+ *   {missingColumns: 'error'} throws if the rows of an array don't have the same columns; by default missing columns get their default value
+ * @returns {Integer|Array} The number of replaced entries or with returnIds an array of all IDs
+ */
+DB.prototype.replace = async function (table, data, whiteList, options = {}) {
+  const results = await insertOrReplace.bind(this)('REPLACE', table, data, whiteList, options)
+  if (options.returnIds) {
+    return results.map(rs => rs.insertId)
+  }
+  return results.reduce((sum, rs) => sum + rs.rowsAffected, 0)
+}
+
+/**
+ * Create an replace statement; create more complex one with exec yourself.
+ *
+ * @param {String} table Name of the table
+ * @param {Object|Array} data a Object of data to set. Key is the name of the column. Can be an array of objects.
+ * @param {undefined|Array} whiteBlackList optional List of columns that can not be updated with "data" (blacklist)
+ * @param {Object} options optional; {returnIds: true} returns the IDs of all replaced rows
+ * @returns {Integer|Array} The number of replaced entries or with returnIds an array of all IDs
+ */
+DB.prototype.replaceWithBlackList = async function (table, data, blackList, options) {
+  return helpers.replace.bind(this)(
+    table,
+    data,
+    await createWhiteListByBlackList.bind(this)(table, blackList),
+    options
+  )
+}
+
+/**
+ * Adds the names of the columns to a row of sqlite_master
+ *
+ * @deprecated use DB().schema.columns(table)
+ * @param {Object} table row of sqlite_master with name and sql
+ * @returns {Object} the row with the list of columns as fields
+ */
+DB.prototype.parseTable = function (table) {
+  table.fields = parseCreateTable(table.sql).columns.map(column => column.name)
+  return table
+}
+
+async function createWhiteListByBlackList (table, blackList) {
+  let whiteList
+  if (Array.isArray(blackList)) {
+    // get all avaible columns
+    whiteList = (await this.schema.columns(table)).map(column => column.name)
+    // get only those not in the whiteBlackList
+    whiteList = whiteList.filter(v => !blackList.includes(v))
+  }
+  return whiteList
+}
+
+async function insertOrReplace (
+  insertOrReplace,
+  table,
+  data,
+  whiteList,
+  { returnIds = false, missingColumns = 'default' } = {}
+) {
+  if (!table) {
+    throw new Error(
+      `Table is missing for the ${insertOrReplace} command of DB()`
+    )
+  }
+  if (!Array.isArray(data)) {
+    data = [data]
+  }
+
+  // columns of every row; undefined values are handled like missing columns
+  const rows = data.map(rowData => ({
+    fields: Object.keys(rowData).filter(
+      v =>
+        rowData[v] !== undefined &&
+        (!Array.isArray(whiteList) || whiteList.includes(v))
+    ),
+    rowData
+  }))
+
+  if (missingColumns === 'error') {
+    const allFields = [...new Set(rows.flatMap(row => row.fields))]
+    rows.forEach((row, index) => {
+      const missing = allFields.filter(v => !row.fields.includes(v))
+      if (missing.length) {
+        throw new Error(
+          `Row ${index} misses the columns \`${missing.join('`, `')}\` for the ${insertOrReplace} command of DB()`
+        )
+      }
+    })
+  } else if (missingColumns !== 'default') {
+    throw new Error(
+      `missingColumns has to be 'default' or 'error' for the ${insertOrReplace} command of DB()`
+    )
   }
 
-  let fields = Object.keys(data[0])
-
-  if (Array.isArray(whiteList)) {
-    fields = fields.filter(v => whiteList.includes(v))
+  // consecutive rows with the same columns can share statements, so the rows are inserted in the order of the array;
+  // missing columns get their default value. With returnIds every row needs its own statement to get its insertId
+  const groups = []
+  rows.forEach(row => {
+    const key = row.fields.slice().sort().join('`')
+    const last = groups[groups.length - 1]
+    if (!returnIds && last && last.key === key) {
+      last.data.push(row.rowData)
+    } else {
+      groups.push({ key, fields: row.fields, data: [row.rowData] })
+    }
+  })
+
+  const multiRowInsert =
+    groups.some(group => group.data.length > 1) &&
+    (await supportsMultiRowInsert.bind(this)())
+
+  const statements = []
+  for (const { fields, data } of groups) {
+    // every statement can only bind a limited number of variables
+    const rowsPerStatement =
+      multiRowInsert && fields.length
+        ? Math.max(1, Math.floor(this.options.maxVariables / fields.length))
+        : 1
+    for (let i = 0; i < data.length; i += rowsPerStatement) {
+      statements.push(
+        createInsertOrReplaceStatement(
+          insertOrReplace,
+          table,
+          fields,
+          data.slice(i, i + rowsPerStatement)
+        )
+      )
+    }
+  }
+
+  if (!statements.length) {
+    return []
+  }
+  if (statements.length === 1) {
+    const [query, ...parameter] = statements[0]
+    return [await this.executeSql(insertOrReplace.toLowerCase(), new SqlFragment(query, parameter))]
+  }
+  return this.transaction(async t => {
+    const results = []
+    for (const [query, ...parameter] of statements) {
+      results.push(await t.executeSql(insertOrReplace.toLowerCase(), new SqlFragment(query, parameter)))
+    }
+    return results
+  })
+}
+
+/**
+ * Multi-row VALUES exist since SQLite 3.7.11; can be overwritten with options.multiRowInsert.
+ *
+ * @returns {Boolean}
+ */
+async function supportsMultiRowInsert () {
+  if (this.options.multiRowInsert !== undefined) {
+    return this.options.multiRowInsert
+  }
+  return isSqliteVersion.bind(this)([3, 7, 11])
+}
+
+/**
+ * Checks if the SQLite version of the database is at least the given one.
+ * The version is read once and stored in options.sqliteVersion; when it can't be read, every check fails.
+ *
+ * @param {Array} minimum f.e. [3, 24, 0]
+ * @returns {Boolean}
+ */
+async function isSqliteVersion (minimum) {
+  if (this.options.sqliteVersion === undefined) {
+    try {
+      this.options.sqliteVersion = await helpers.queryFirstCell.bind(this)('SELECT sqlite_version()')
+    } catch (e) {
+      this.options.sqliteVersion = null
+    }
+  }
+  if (!this.options.sqliteVersion) {
+    return false
+  }
+  const version = this.options.sqliteVersion.split('.').map(Number)
+  for (let i = 0; i < minimum.length; i++) {
+    if ((version[i] || 0) !== minimum[i]) {
+      return (version[i] || 0) > minimum[i]
+    }
+  }
+  return true
+}
+
+function createInsertOrReplaceStatement (
+  insertOrReplace,
+  table,
+  fields,
+  data
+) {
+  if (!fields.length) {
+    return [`${insertOrReplace} INTO ${quoteIdentifier(table)} DEFAULT VALUES`]
   }
 
   // Build start of where query
@@ -526,169 +1493,775 @@ function createInsertOrReplaceStatement (
       Array.from({ length: fields.length }, () => '?').join(',') +
       ')'
     )
-  }, `${insertOrReplace} INTO \`${table}\` (\`${fields.join('`,`')}\`) VALUES `)
+  }, `${insertOrReplace} INTO ${quoteIdentifier(table)} (${fields.map(quoteIdentifier).join(',')}) VALUES `)
   return [sql, ...parameter]
 }
 
 /**
- * Migrates database schema to the latest version
+ * Runs the callback with a transaction handle that offers the same helpers as DB().
+ * All statements of the handle are executed inside one WebSQL transaction, which is committed when the callback resolves
+ * and rolled back when it throws or rejects.
+ *
+ * @example await DB().transaction(async t => {
+ *   const orderId = await t.insert('orders', order)
+ *   await t.insert('orderLines', lines.map(line => ({ ...line, orderId })))
+ * })
+ * @param {Function} callback (async) function that gets the transaction handle as first parameter
+ * @returns {any} the return value of the callback
  */
-DB.prototype.migrate = async function ({
-  force = false,
-  table = 'Migrations',
-  migrations = []
-} = {}) {
-  if (!this.options.migrate) {
-    // We don't call `connection` if `options.migrate` is `true`, because in this case `connection` will call `migrate`
-    // which would lead into a dead-lock.
-    await this.connection()
-  } else if (!this.db) {
-    return this.connection()
+DB.prototype.transaction = async function (callback) {
+  return runTransaction.bind(this)(await this.connection(), false, callback)
+}
+
+/**
+ * Like transaction() but uses a readTransaction; the handle can only read from the database.
+ *
+ * @param {Function} callback (async) function that gets the transaction handle as first parameter
+ * @returns {any} the return value of the callback
+ */
+DB.prototype.readTransaction = async function (callback) {
+  return runTransaction.bind(this)(await this.connection(), true, callback)
+}
+
+/**
+ * Runs the callback with a transaction handle in a new WebSQL transaction
+ *
+ * @param {Database} db the WebSQL database
+ * @param {Boolean} readOnly true for a readTransaction
+ * @param {Function} callback (async) function that gets the transaction handle
+ * @param {Array} versions optional [oldVersion, newVersion]; runs the transaction with changeVersion
+ * @returns {Promise} the return value of the callback
+ */
+function runTransaction (db, readOnly, callback, versions) {
+  const transaction = new Transaction(this, readOnly)
+  return new Promise((resolve, reject) => {
+    let result
+    const open = versions
+      ? (...args) => db.changeVersion(...versions, ...args)
+      : (...args) => db[readOnly ? 'readTransaction' : 'transaction'](...args)
+    open(
+      tx => {
+        new Promise(resolve => resolve(callback(transaction))).then(
+          value => {
+            result = value
+            transaction.done = true
+          },
+          error => {
+            transaction.error = error
+            transaction.done = true
+          }
+        )
+        transaction.next(tx)
+      },
+      error => {
+        // the rolled back statements may have changed tables that were read in the meantime
+        this.schema.clear()
+        reject(transaction.error || error)
+      },
+      () => {
+        resolve(result)
+      }
+    )
+  })
+}
+
+let transactionCount = 0
+
+/**
+ * A handle to a running WebSQL transaction. It offers the query, insert, update and replace helpers of DB.
+ *
+ * WebSQL commits a transaction as soon as no statement is pending in it. So while the callback of the transaction
+ * is running, the handle keeps it alive with cheap "SELECT 1" statements. Thus it's possible to await
+ * other things between two statements.
+ *
+ * @param {DB} db the instance that created the transaction
+ * @param {Boolean} readOnly true for a readTransaction
+ * @constructor
+ */
+function Transaction (db, readOnly = false) {
+  this.id = ++transactionCount
+  this.parent = db
+  this.options = db.options
+  this.plugins = db.plugins
+  this.schema = new Schema(this, db.schema.cache)
+  this.readOnly = readOnly
+  this.queue = []
+  this.done = false
+  this.error = undefined
+}
+
+/**
+ * Queues a statement that will be run inside of the transaction
+ *
+ * @param {String} method name of the calling helper; passed to the logger
+ * @param {String} query the SQL-Query that should be run. Can contain placeholders for bind parameters.
+ * @param {Array} bindParameters the values for the placeholders
+ * @returns {SQLResultSet}
+ */
+Transaction.prototype.executeSql = async function (method, query, bindParameters = []) {
+  if (this.done) {
+    throw new Error('Transaction is already finished; use the handle only inside the callback of transaction()')
   }
+  [query, bindParameters] = prepareQuery(query, bindParameters)
+  const { stack } = new Error()
+  return callPlugins.bind(this)(
+    'execute',
+    { method, sql: query, params: bindParameters, readOnly: this.readOnly, transactionId: this.id, db: this },
+    ({ sql, params }) =>
+      new Promise((resolve, reject) => {
+        this.queue.push({ method, query: sql, bindParameters: params, stack, resolve, reject })
+      })
+  )
+}
+
+/**
+ * Runs the next queued statement. Keeps the transaction open while the callback is running and finishes it afterwards.
+ *
+ * @param {SQLTransaction} tx the WebSQL transaction
+ */
+Transaction.prototype.next = function (tx) {
+  const statement = this.queue.shift()
+  if (statement) {
+    const { method, query, bindParameters } = statement
+    this.options.logger(method, query, ...bindParameters)
+    const finish = trackQuery.bind(this.parent)(method, query, bindParameters, this.id)
+    tx.executeSql(
+      query,
+      bindParameters,
+      (tx, rs) => {
+        finish(null, rs)
+        clearSchemaAfter.bind(this.parent)(query)
+        statement.resolve(rs)
+        this.next(tx)
+      },
+      (tx, sqlError) => {
+        const error = createDatabaseError(sqlError, query, bindParameters, statement.stack)
+        finish(error)
+        statement.reject(error)
+        this.next(tx)
+        // the error is handled by the callback of transaction()
+        return false
+      }
+    )
+  } else if (this.error) {
+    // an unhandled error in a statement callback is the only way to roll back a WebSQL transaction
+    tx.executeSql('SELECT websql_helper_rollback()', [], null, () => true)
+  } else if (!this.done) {
+    tx.executeSql('SELECT 1', [], tx => this.next(tx))
+  }
+}
+
+/**
+ * Nested transactions are part of the running transaction
+ *
+ * @param {Function} fn (async) function that gets the transaction handle as first parameter
+ * @returns {any} the return value of fn
+ */
+Transaction.prototype.transaction = async function (fn) {
+  return fn(this)
+}
+
+Transaction.prototype.readTransaction = Transaction.prototype.transaction
 
-  if (!migrations.length) {
+// the helpers without the hooks of the plugins; the library calls them for its own statements,
+// so every call of the user reaches the hooks of a helper exactly once
+const helpers = {}
+
+// helpers that plugins can hook into; also on a transaction handle
+;[
+  'run',
+  'query',
+  'queryFirstRow',
+  'queryFirstRowObject',
+  'queryFirstCell',
+  'queryColumn',
+  'queryKeyAndColumn',
+  'update',
+  'updateWithBlackList',
+  'insert',
+  'insertWithBlackList',
+  'replace',
+  'replaceWithBlackList',
+  'upsert',
+  'delete',
+  'deleteWithBlackList'
+].forEach(method => {
+  const helper = DB.prototype[method]
+  helpers[method] = helper
+  DB.prototype[method] = function (...args) {
+    return callPlugins.bind(this)(method, { method, args, db: this }, context =>
+      helper.apply(this, context.args)
+    )
+  }
+})
+
+// helpers of DB that are available on a transaction handle
+;[
+  'run',
+  'exec',
+  'query',
+  'queryFirstRow',
+  'queryFirstRowObject',
+  'queryFirstCell',
+  'queryColumn',
+  'queryKeyAndColumn',
+  'select',
+  'selectFirstRow',
+  'selectColumn',
+  'selectKeyAndColumn',
+  'iterate',
+  'queryPage',
+  'queryCursorPage',
+  'batch',
+  'update',
+  'updateWithBlackList',
+  'insert',
+  'insertWithBlackList',
+  'replace',
+  'replaceWithBlackList',
+  'upsert',
+  'delete',
+  'deleteWithBlackList',
+  'parseTable'
+].forEach(method => {
+  Transaction.prototype[method] = DB.prototype[method]
+})
+
+/**
+ * Migrates database schema to the latest version
+ *
+ * Migrations can be strings with an up and a down part separated by '-- Down'; their id is their index in the array.
+ * Or objects {id, name, up, down} with an integer as id (default is the index) and SQL strings or async functions
+ * as up and down. A function gets a transaction handle with the helpers of DB() (f.e. async t => t.update(...)).
+ * The migrations are applied in the order of their ids. A checksum of every applied migration is stored, so a
+ * migration that was changed after it was applied throws an error (or with `force` is undone and applied again).
+ *
+ * @param {Object} options force: undo the last (and every changed) migration and apply it again,
+ *   table: name of the table for the migration meta data (default 'Migrations'), migrations: array of migrations
+ *   (default are the migrations of the constructor), dryRun: don't change the database but return the statements,
+ *   changeVersion: run every migration with changeVersion, so the version of the database is the id of the latest
+ *   applied migration and a concurrent migration (f.e. in another tab) fails
+ * @returns {undefined|Array} with dryRun the statements that would run: [{id, name, direction, query}, ...];
+ *   query is null for a function
+ */
+DB.prototype.migrate = async function (options = {}) {
+  await connectForMigrations.bind(this)(options)
+
+  const settings = getMigrationSettings(this.options.migrate, options)
+  if (!settings.migrations.length) {
     // No migration files found
     return
   }
 
-  const regSemWithoutQuotes = /([^"';]*(('[^']*')*||("[^"]*")*))+/gm
+  return runMigrations.bind(this)(settings, (migrations, dbMigrations, modified) => {
+    const lastMigration = migrations[migrations.length - 1]
+    return planMigrations(
+      migrations,
+      dbMigrations,
+      // undo migrations that exist only in the database but not in files,
+      // also undo the last migration and changed ones if the `force` option was set.
+      dbMigration =>
+        !migrations.some(x => x.id === dbMigration.id) ||
+        modified.includes(dbMigration.id) ||
+        (settings.force && dbMigration.id === lastMigration.id),
+      () => true
+    )
+  })
+}
+
+/**
+ * Migrates the database schema up or down to the given migration.
+ * Applies every migration up to it and undoes every migration after it.
+ *
+ * @param {Integer|String} target id or name of the migration
+ * @param {Object} options like in migrate: force, table, migrations and dryRun
+ * @returns {undefined|Array} with dryRun the statements that would run: [{id, name, direction, query}, ...]
+ */
+DB.prototype.migrateTo = async function (target, options = {}) {
+  await connectForMigrations.bind(this)(options)
+  const settings = getMigrationSettings(this.options.migrate, options)
+
+  return runMigrations.bind(this)(settings, (migrations, dbMigrations, modified) => {
+    const targetMigration = migrations.find(
+      x => x.id === target || (x.name !== null && x.name === target)
+    )
+    if (!targetMigration) {
+      throw new Error(`Migration ${target} does not exist.`)
+    }
+    return planMigrations(
+      migrations,
+      dbMigrations,
+      dbMigration =>
+        dbMigration.id > targetMigration.id ||
+        !migrations.some(x => x.id === dbMigration.id) ||
+        modified.includes(dbMigration.id),
+      migration => migration.id <= targetMigration.id
+    )
+  })
+}
+
+/**
+ * Undoes the last applied migrations
+ *
+ * @param {Integer} steps number of migrations to undo (default 1)
+ * @param {Object} options like in migrate: table, migrations and dryRun
+ * @returns {undefined|Array} with dryRun the statements that would run: [{id, name, direction, query}, ...]
+ */
+DB.prototype.rollback = async function (steps = 1, options = {}) {
+  if (!Number.isInteger(steps) || steps < 0) {
+    throw new Error(`Steps need to be a non-negative integer for the rollback command of DB(), not ${steps}`)
+  }
+  await connectForMigrations.bind(this)(options)
+  // changed migrations don't stop a rollback
+  const settings = getMigrationSettings(this.options.migrate, { ...options, force: true })
+
+  return runMigrations.bind(this)(settings, (migrations, dbMigrations) => {
+    const applied = dbMigrations.slice().sort((a, b) => Math.sign(b.id - a.id))
+    const last = applied.slice(0, steps)
+    return planMigrations(
+      migrations,
+      dbMigrations,
+      dbMigration => last.includes(dbMigration),
+      () => false
+    )
+  })
+}
+
+/**
+ * Compares the migrations of the code with the applied ones. It doesn't change the database.
+ *
+ * @param {Object} options like in migrate: table and migrations
+ * @returns {Object} {applied, pending, missing, modified}; every entry is a list of {id, name, appliedAt}:
+ *   applied: all applied migrations, pending: migrations that are not applied yet,
+ *   missing: applied migrations that are not in the code anymore, modified: applied migrations that were changed afterwards.
+ *   appliedAt is an ISO date string (null for pending migrations and ones applied by older versions)
+ */
+DB.prototype.migrationStatus = async function (options = {}) {
+  await this.connection()
+  const settings = getMigrationSettings(this.options.migrate, { ...options, force: true, dryRun: true })
+  const { migrations, dbMigrations, modified } = await loadMigrations.bind(this)(settings)
+
+  const describe = migration => ({
+    id: migration.id,
+    name: migration.name || null,
+    appliedAt: migration.appliedAt || null
+  })
+  return {
+    applied: dbMigrations.map(describe),
+    pending: migrations.filter(migration => !dbMigrations.some(x => x.id === migration.id)).map(describe),
+    missing: dbMigrations.filter(dbMigration => !migrations.some(x => x.id === dbMigration.id)).map(describe),
+    modified: dbMigrations.filter(dbMigration => modified.includes(dbMigration.id)).map(describe)
+  }
+}
+
+/**
+ * Connects before migrate, migrateTo and rollback. connection() applies the migrations of the constructor, so a dry
+ * run doesn't call it; it only reads the migrations table.
+ *
+ * @param {Object} options the options of the call
+ */
+async function connectForMigrations (options) {
+  if (options.dryRun) {
+    if (this.closed) {
+      throw new Error('The database is closed')
+    }
+    return
+  }
+  // with the migrations of the constructor connection() calls migrate, which must not call connection() again:
+  // that would lead into a dead-lock
+  if (!this.options.migrate || !this.db) {
+    await this.connection()
+  }
+}
+
+function getMigrationSettings (migrate, options) {
+  return {
+    force: false,
+    changeVersion: false,
+    table: 'Migrations',
+    migrations: [],
+    dryRun: false,
+    ...(Array.isArray(migrate)
+      ? { migrations: migrate }
+      : typeof migrate === 'object'
+        ? migrate
+        : {}),
+    ...options
+  }
+}
+
+/**
+ * Creates the list of steps to run: first the applied migrations from the newest down to the oldest one that needs to be undone,
+ * then the wanted migrations that are not applied (anymore) in the order of their ids.
+ *
+ * @param {Array} migrations normalized migrations of the code
+ * @param {Array} dbMigrations applied migrations
+ * @param {Function} undo returns true for an applied migration that needs to be undone
+ * @param {Function} wanted returns true for a migration that should be applied
+ * @returns {Array} [{direction: 'down'|'up', migration}, ...]
+ */
+function planMigrations (migrations, dbMigrations, undo, wanted) {
+  const applied = dbMigrations.slice().sort((a, b) => Math.sign(a.id - b.id))
+  const firstUndo = applied.findIndex(undo)
+  const kept = firstUndo === -1 ? applied : applied.slice(0, firstUndo)
+  return [
+    ...applied
+      .slice(kept.length)
+      .reverse()
+      .map(migration => ({ direction: 'down', migration })),
+    ...migrations
+      .filter(migration => wanted(migration) && !kept.some(x => x.id === migration.id))
+      .map(migration => ({ direction: 'up', migration }))
+  ]
+}
+
+/**
+ * Normalizes the migrations of the code and reads the applied ones from the database.
+ * Without dryRun it creates (or upgrades) the migrations table.
+ *
+ * @param {Object} settings force, table, migrations and dryRun like in migrate
+ * @returns {Object} {migrations, dbMigrations, modified}: normalized migrations sorted by id, the rows of the
+ *   migrations table and the ids of applied migrations that were changed afterwards (only with force, else it throws)
+ */
+async function loadMigrations ({ force, table, migrations, dryRun }) {
   const txExec = (tx, query, parameters) =>
     new Promise((resolve, reject) => {
       this.options.logger('migrationExec', query, ...parameters)
+      const finish = trackQuery.bind(this)('migrationExec', query, parameters, null)
       tx.executeSql(
         query,
         parameters,
         (tx, result) => {
+          finish(null, result)
           resolve(result)
         },
-        (tx, error) => {
-          error.query = query
-          error.parameters = parameters
+        (tx, sqlError) => {
+          const error = createDatabaseError(sqlError, query, parameters)
+          finish(error)
           reject(error)
         }
       )
     })
+  const exec = (query, parameters = []) =>
+    new Promise((resolve, reject) => {
+      // not this.db: a dry run reads the database before it is connected
+      this.options.db.transaction(tx => {
+        txExec(tx, query, parameters).then(resolve, reject)
+      }, reject)
+    })
 
-  // Ge the list of migrations, for example:
-  //   { id: 1, name: 'initial', filename: '001-initial.sql', up: ..., down: ... }
-  //   { id: 2, name: 'feature', fielname: '002-feature.sql', up: ..., down: ... }
-  migrations = migrations.map((migration, index) => {
-    const [up, down] = migration.split(/^--\s+?down\b/im)
-    if (!down) {
-      const message = `${index} entry does not contain '-- Down' separator.`
-      throw new Error(message)
-    }
-    return {
-      id: index,
-      up: up.replace(/^-- .*?$/gm, '').trim(),
-      down: down.replace(/^-- .*?$/gm, '').trim()
+  // Get the list of migrations, for example:
+  //   { id: 0, name: null, up: ..., down: ..., checksum: ... } for a string
+  //   { id: 2, name: 'feature', up: ..., down: ..., checksum: ... } for an object
+  migrations = migrations
+    .map((migration, index) => normalizeMigration(migration, index))
+    .sort((a, b) => Math.sign(a.id - b.id))
+  migrations.forEach((migration, index) => {
+    if (index && migrations[index - 1].id === migration.id) {
+      throw new Error(`Migration id ${migration.id} is used more than once.`)
     }
   })
 
-  // Create a database table for migrations meta data if it doesn't exist
-  await new Promise((resolve, reject) => {
-    this.db.transaction(tx => {
-      const query = `CREATE TABLE IF NOT EXISTS \`${table}\` (
-        id   INTEGER PRIMARY KEY,
-        up   TEXT    NOT NULL,
-        down TEXT    NOT NULL
-      )`
-      this.options.logger('migrationExec', query)
-      tx.executeSql(
-        query,
-        [],
-        function (tx, rs) {
-          resolve(rs)
-        },
-        function (tx, error) {
-          error.query = query
-          error.parameters = []
-          reject(error)
-        }
+  if (!dryRun) {
+    // Create a database table for migrations meta data if it doesn't exist
+    await exec(`CREATE TABLE IF NOT EXISTS ${quoteIdentifier(table)} (
+      id        INTEGER PRIMARY KEY,
+      name      TEXT,
+      up        TEXT    NOT NULL,
+      down      TEXT    NOT NULL,
+      checksum  TEXT,
+      type      TEXT,
+      appliedAt TEXT
+    )`)
+    // tables of older versions don't have all columns
+    for (const column of ['name', 'checksum', 'type', 'appliedAt']) {
+      try {
+        await exec(`SELECT ${quoteIdentifier(column)} FROM ${quoteIdentifier(table)} LIMIT 0`)
+      } catch (e) {
+        await exec(`ALTER TABLE ${quoteIdentifier(table)} ADD COLUMN ${quoteIdentifier(column)} TEXT`)
+      }
+    }
+  }
+
+  // Get the list of already applied migrations
+  let dbMigrations
+  try {
+    const rs = await exec(`SELECT * FROM ${quoteIdentifier(table)} ORDER BY id ASC`)
+    dbMigrations = Array.from({ length: rs.rows.length }, (v, i) => rs.rows.item(i))
+  } catch (e) {
+    if (!dryRun) {
+      throw e
+    }
+    // the table is not created in a dry run
+    dbMigrations = []
+  }
+
+  // Check that applied migrations were not changed afterwards.
+  // With the `force` option changed migrations (and all after them) are undone and applied again.
+  const modified = []
+  for (const dbMigration of dbMigrations) {
+    const migration = migrations.find(x => x.id === dbMigration.id)
+    if (!migration) {
+      continue
+    }
+    if (!dbMigration.checksum) {
+      // applied by an older version without checksums
+      if (!dryRun) {
+        await exec(
+          `UPDATE ${quoteIdentifier(table)} SET name = ?, checksum = ? WHERE id = ?`,
+          [migration.name, migration.checksum, migration.id]
+        )
+      }
+    } else if (dbMigration.checksum !== migration.checksum) {
+      if (!force) {
+        throw new Error(
+          `Migration ${describeMigration(migration)} was changed after it was applied. Use the force option to undo and apply it again.`
+        )
+      }
+      modified.push(migration.id)
+    }
+  }
+
+  return { migrations, dbMigrations, modified }
+}
+
+async function runMigrations (settings, plan) {
+  const { table, dryRun } = settings
+  const { migrations, dbMigrations, modified } = await loadMigrations.bind(this)(settings)
+
+  const steps = plan(migrations, dbMigrations, modified).map(({ direction, migration }) => {
+    if (direction === 'up' || migration.type !== 'function') {
+      return { direction, migration, script: migration[direction] }
+    }
+    // the source of a function that is stored in the database can't be run; it needs the function of the code
+    const codeMigration = migrations.find(x => x.id === migration.id)
+    if (!codeMigration) {
+      throw new Error(
+        `Migration ${describeMigration(migration)} can not be undone, because its down function is not in the migrations anymore.`
       )
-    })
+    }
+    return { direction, migration, script: codeMigration.down }
   })
 
-  // Get the list of already applied migrations
-  const dbMigrations = await new Promise((resolve, reject) => {
-    this.db.transaction(async tx => {
-      const rs = await txExec(
-        tx,
-        `SELECT id, up, down FROM \`${table}\` ORDER BY id ASC`,
-        []
+  if (dryRun) {
+    return steps.reduce(
+      (statements, { direction, migration, script }) => [
+        ...statements,
+        ...(typeof script === 'function' ? [null] : splitStatements(script)).map(query => ({
+          id: migration.id,
+          name: migration.name || null,
+          direction,
+          query
+        }))
+      ],
+      []
+    )
+  }
+
+  if (settings.changeVersion && typeof this.db.changeVersion !== 'function') {
+    throw new Error('The database has no changeVersion function for the changeVersion option of migrate.')
+  }
+
+  const applied = dbMigrations.map(x => x.id)
+  if (settings.changeVersion && this.db.version !== getMigrationVersion(applied)) {
+    await adoptMigrationVersion.bind(this)(table, applied)
+  }
+
+  // every migration runs with its bookkeeping in its own transaction, so it's either fully applied or not at all
+  for (const { direction, migration, script } of steps) {
+    let versions
+    if (settings.changeVersion) {
+      const oldVersion = getMigrationVersion(applied)
+      if (direction === 'down') {
+        applied.splice(applied.indexOf(migration.id), 1)
+      } else {
+        applied.push(migration.id)
+      }
+      versions = [oldVersion, getMigrationVersion(applied)]
+    }
+    try {
+      if (versions && this.db.version !== versions[0]) {
+        // another tab or webview migrated the database since the applied migrations were read
+        throw new Error(`The database has the version ${this.db.version} instead of ${versions[0]}.`)
+      }
+      await callPlugins.bind(this)(
+        'migration',
+        { id: migration.id, name: migration.name || null, direction },
+        () => runMigrationStep.bind(this)(table, direction, migration, script, versions)
+      )
+    } catch (e) {
+      // the migrations before may have changed tables
+      this.schema.clear()
+      throw new MigrationError(migration, direction, e)
+    }
+  }
+  this.schema.clear()
+}
+
+/**
+ * The database version for the changeVersion option: the id of the latest applied migration or '' if none is applied
+ *
+ * @param {Array} applied ids of the applied migrations
+ * @returns {String}
+ */
+function getMigrationVersion (applied) {
+  return applied.length ? String(Math.max(...applied)) : ''
+}
+
+/**
+ * Sets the version of a database that was migrated without the changeVersion option (or never) to the one of its
+ * applied migrations. It only changes the version if the migrations table still contains the applied migrations;
+ * otherwise another tab or webview migrated the database since they were read.
+ *
+ * @param {String} table name of the migrations table
+ * @param {Array} applied ids of the applied migrations
+ * @returns {Promise}
+ */
+function adoptMigrationVersion (table, applied) {
+  return runTransaction.bind(this)(this.db, false, async t => {
+    const rs = await t.executeSql('migrationExec', `SELECT id FROM ${quoteIdentifier(table)} ORDER BY id`)
+    const ids = Array.from({ length: rs.rows.length }, (v, i) => rs.rows.item(i).id)
+    if (ids.join() !== applied.slice().sort((a, b) => a - b).join()) {
+      throw new Error('The database was migrated by another connection since the applied migrations were read.')
+    }
+  }, [this.db.version, getMigrationVersion(applied)])
+}
+
+/**
+ * Applies or undoes one migration and updates the migrations table in the same transaction
+ *
+ * @param {String} table name of the migrations table
+ * @param {String} direction 'up' or 'down'
+ * @param {Object} migration
+ * @param {String|Function} script the SQL or the function to run
+ * @param {Array} versions optional [oldVersion, newVersion] to run it with changeVersion
+ * @returns {Promise}
+ */
+function runMigrationStep (table, direction, migration, script, versions) {
+  return runTransaction.bind(this)(this.db, false, async t => {
+    if (typeof script === 'function') {
+      await script(t)
+    } else {
+      for (const query of splitStatements(script)) {
+        await t.executeSql('migrationExec', query)
+      }
+    }
+
+    if (direction === 'down') {
+      await t.executeSql(
+        'migrationExec',
+        `DELETE FROM ${quoteIdentifier(table)} WHERE id = ?`,
+        [migration.id]
       )
-      resolve(
-        Array.from({ length: rs.rows.length }, (v, i) => rs.rows.item(i))
+    } else {
+      await t.executeSql(
+        'migrationExec',
+        `INSERT INTO ${quoteIdentifier(table)} (id, name, up, down, checksum, type, appliedAt) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          migration.id,
+          migration.name,
+          String(migration.up),
+          String(migration.down),
+          migration.checksum,
+          migration.type,
+          new Date().toISOString()
+        ]
       )
-    })
-  })
+    }
+  }, versions)
+}
 
-  // Undo migrations that exist only in the database but not in files,
-  // also undo the last migration if the `force` option was set.
-  const lastMigration = migrations[migrations.length - 1]
-  for (const migration of dbMigrations
-    .slice()
-    .sort((a, b) => Math.sign(b.id - a.id))) {
+/**
+ * Splits a migration string at the first "-- Down" comment that starts a line (after optional indentation).
+ * Comments in it (like "-- Up") stay; they are removed when the statements are split.
+ *
+ * @param {String} migration
+ * @returns {Array} [up, down]; down is undefined without a "-- Down" comment
+ */
+function splitMigration (migration) {
+  let position = 0
+  for (const token of tokenize(migration)) {
     if (
-      !migrations.some(x => x.id === migration.id) ||
-      (force && migration.id === lastMigration.id)
+      token.type === 'comment' &&
+      /^--\s+?down\b/i.test(token.text) &&
+      /(^|\n)[ \t]*$/.test(migration.slice(0, position))
     ) {
-      await new Promise((resolve, reject) => {
-        this.db.transaction(
-          async tx => {
-            const query = migration.down.match(regSemWithoutQuotes)
-            for (let x = 0; x < query.length; x++) {
-              const q = query[x].trim()
-              if (q.length) {
-                txExec(tx, q, [])
-              }
-            }
-
-            txExec(tx, `DELETE FROM ${table} WHERE id = ?`, [
-              migration.id
-            ])
-          },
-          () => {},
-          () => { resolve() }
-        )
-      })
-      dbMigrations.length--
-    } else {
-      break
-    }
-  }
-
-  // Apply pending migrations
-  const lastMigrationId = dbMigrations.length
-    ? dbMigrations[dbMigrations.length - 1].id
-    : -1
-  for (const migration of migrations) {
-    if (migration.id > lastMigrationId) {
-      await new Promise((resolve, reject) => {
-        this.db.transaction(
-          async tx => {
-            const query = migration.up.match(regSemWithoutQuotes)
-            for (let x = 0; x < query.length; x++) {
-              const q = query[x].trim()
-              if (q.length) {
-                txExec(tx, q, [])
-              }
-            }
-
-            txExec(
-              tx,
-              `INSERT INTO ${table} (id, up, down) VALUES (?, ?, ?)`,
-              [migration.id, migration.up, migration.down]
-            )
-          },
-          (error) => {
-            reject(error)
-          },
-          () => { resolve() }
-        )
-      })
+      return [migration.slice(0, position).trim(), migration.slice(position + token.text.length).trim()]
     }
+    position += token.text.length
+  }
+  return [migration.trim(), undefined]
+}
+
+function normalizeMigration (migration, index) {
+  let id = index
+  let name = null
+  let up
+  let down
+  let text
+  if (typeof migration === 'string') {
+    [up, down] = splitMigration(migration)
+    if (down === undefined) {
+      const message = `${index} entry does not contain '-- Down' separator.`
+      throw new Error(message)
+    }
+    text = migration
+  } else if (migration && typeof migration === 'object') {
+    if (migration.id !== undefined) {
+      id = migration.id
+    }
+    name = migration.name || null
+    up = migration.up
+    down = migration.down === undefined ? '' : migration.down
+    if (
+      !['string', 'function'].includes(typeof up) ||
+      !['string', 'function'].includes(typeof down)
+    ) {
+      throw new Error(`Migration ${name || index} needs up and down as strings or functions.`)
+    }
+    text = `${up}\n-- Down\n${down}`
+  } else {
+    throw new Error(`${index} entry is not a string or an object.`)
+  }
+  if (!Number.isInteger(id)) {
+    throw new Error(`Migration ${name || index} needs an integer as id.`)
+  }
+  return {
+    id,
+    name,
+    up,
+    down,
+    type: typeof up === 'function' || typeof down === 'function' ? 'function' : null,
+    checksum: checksum(text)
+  }
+}
+
+function describeMigration (migration) {
+  return migration.name ? `${migration.id} (${migration.name})` : `${migration.id}`
+}
+
+/**
+ * FNV-1a hash of a text; enough to notice changes of a migration
+ *
+ * @param {String} text
+ * @returns {String} hex
+ */
+function checksum (text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
   }
+  return (hash >>> 0).toString(16).padStart(8, '0')
 }
 
 module.exports = DB
+module.exports.Transaction = Transaction
+module.exports.sql = sql
+module.exports.SqlFragment = SqlFragment
+module.exports.MigrationError = MigrationError
+module.exports.DatabaseError = errors.DatabaseError
+module.exports.ConstraintError = errors.ConstraintError
+module.exports.SyntaxError = errors.SyntaxError
+module.exports.QuotaExceededError = errors.QuotaExceededError
+module.exports.drivers = drivers
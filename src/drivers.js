@@ -0,0 +1,225 @@
+/**
+ * Drivers turn the handle of a database library into an object with the WebSQL API (transaction, readTransaction,
+ * tx.executeSql and result sets with rows.item(i), insertId and rowsAffected). All helpers of DB() are built on
+ * this API, so they work the same with every driver.
+ *
+ * @example DB({ db: new sqlite3.Database('app.db'), driver: 'sqlite3' })
+ */
+
+/**
+ * Browser WebSQL (openDatabase) and everything else that already has the WebSQL API
+ *
+ * @param {Database} db
+ * @returns {Database}
+ */
+function webSql (db) {
+  return db
+}
+
+/**
+ * cordova-sqlite-storage and compatible plugins. Their transactions already work like WebSQL;
+ * scripts (DB().exec) are run with sqlBatch.
+ *
+ * @param {Object} db the result of window.sqlitePlugin.openDatabase()
+ * @returns {Object}
+ */
+function cordova (db) {
+  return {
+    transaction: (...args) => db.transaction(...args),
+    readTransaction: (...args) => db.readTransaction(...args),
+    sqlBatch: statements =>
+      new Promise((resolve, reject) => {
+        db.sqlBatch(statements, resolve, reject)
+      }),
+    close: () =>
+      new Promise((resolve, reject) => {
+        db.close(resolve, reject)
+      })
+  }
+}
+
+/**
+ * The node module sqlite3
+ *
+ * @param {sqlite3.Database} db
+ * @returns {Object}
+ */
+function sqlite3 (db) {
+  const all = (query, parameters = []) =>
+    new Promise((resolve, reject) => {
+      db.all(query, parameters, (error, rows) => (error ? reject(error) : resolve(rows)))
+    })
+  // all() returns the rows but not the changes, so they are asked afterwards
+  return createDatabase(
+    trackChanges(all, async () =>
+      (await all('SELECT total_changes() AS total, changes() AS changes, last_insert_rowid() AS insertId'))[0]
+    ),
+    () =>
+      new Promise((resolve, reject) => {
+        db.close(error => (error ? reject(error) : resolve()))
+      })
+  )
+}
+
+/**
+ * The node module better-sqlite3
+ *
+ * @param {BetterSqlite3.Database} db
+ * @returns {Object}
+ */
+function betterSqlite3 (db) {
+  return createDatabase(async (query, parameters) => {
+    const statement = db.prepare(query)
+    // it doesn't bind booleans and undefined
+    parameters = parameters.map(value =>
+      typeof value === 'boolean' ? Number(value) : value === undefined ? null : value
+    )
+    if (statement.reader) {
+      return { rows: statement.all(...parameters) }
+    }
+    const info = statement.run(...parameters)
+    return info.changes
+      ? { rows: [], rowsAffected: info.changes, insertId: Number(info.lastInsertRowid) }
+      : { rows: [] }
+  }, () => db.close())
+}
+
+/**
+ * sql.js (SQLite compiled to JavaScript)
+ *
+ * @param {SQL.Database} db
+ * @returns {Object}
+ */
+function sqlJs (db) {
+  const all = (query, parameters) => {
+    const statement = db.prepare(query)
+    try {
+      statement.bind(parameters.map(value => (value === undefined ? null : value)))
+      const rows = []
+      while (statement.step()) {
+        rows.push(statement.getAsObject())
+      }
+      return rows
+    } finally {
+      statement.free()
+    }
+  }
+  return createDatabase(
+    trackChanges(all, () => {
+      const [total, changes, insertId] = db.exec('SELECT total_changes(), changes(), last_insert_rowid()')[0].values[0]
+      return { total, changes, insertId }
+    }),
+    () => db.close()
+  )
+}
+
+/**
+ * Adds rowsAffected and insertId to the rows of a statement. They are only set if the statement changed rows;
+ * SQLite's changes() still returns the value of the last INSERT, UPDATE or DELETE after any other statement.
+ *
+ * @param {Function} all (async) (query, parameters) => rows
+ * @param {Function} changes (async) () => ({total, changes, insertId}) of total_changes(), changes() and last_insert_rowid()
+ * @returns {Function} execute for createDatabase
+ */
+function trackChanges (all, changes) {
+  return async (query, parameters) => {
+    const before = await changes()
+    const rows = await all(query, parameters)
+    const after = await changes()
+    return after.total === before.total
+      ? { rows }
+      : { rows, rowsAffected: after.changes, insertId: after.insertId }
+  }
+}
+
+/**
+ * Creates an object with the WebSQL API for a library that can execute single statements.
+ * Transactions run one after another with BEGIN and COMMIT (or ROLLBACK) like WebSQL would run them:
+ * the statements of tx.executeSql() are executed in order, their callbacks can add further statements, and the
+ * transaction is committed when no statement is left. A failing statement rolls the transaction back unless its
+ * error callback returns false.
+ *
+ * @param {Function} execute async (query, parameters) => ({rows, rowsAffected, insertId})
+ * @param {Function} close optional; (async) function that closes the database
+ * @returns {Object} {transaction, readTransaction, close}
+ */
+function createDatabase (execute, close = () => {}) {
+  let queue = Promise.resolve()
+  const transaction = (callback, errorCallback, successCallback) => {
+    queue = queue.then(async () => {
+      const error = await runTransaction(execute, callback)
+      // the callbacks of the transaction run outside of the queue
+      setTimeout(() => {
+        if (error) {
+          errorCallback && errorCallback(error)
+        } else {
+          successCallback && successCallback()
+        }
+      })
+    })
+  }
+  return {
+    transaction,
+    readTransaction: transaction,
+    // after the running transactions
+    close: () => (queue = queue.then(close))
+  }
+}
+
+async function runTransaction (execute, callback) {
+  const statements = []
+  const tx = {
+    executeSql (query, parameters = [], success, error) {
+      statements.push({ query, parameters, success, error })
+    }
+  }
+  try {
+    await execute('BEGIN', [])
+  } catch (e) {
+    return e
+  }
+  try {
+    callback(tx)
+    while (statements.length) {
+      // a synchronous library would otherwise run the keep-alive statements of DB() in microtasks only
+      // and never let timers or I/O of the transaction callback run
+      await yieldToEventLoop()
+      const statement = statements.shift()
+      let resultSet
+      try {
+        resultSet = createResultSet(await execute(statement.query, statement.parameters))
+      } catch (e) {
+        if (!statement.error || statement.error(tx, e) !== false) {
+          throw e
+        }
+        continue
+      }
+      if (statement.success) {
+        statement.success(tx, resultSet)
+      }
+    }
+    await execute('COMMIT', [])
+  } catch (e) {
+    try {
+      await execute('ROLLBACK', [])
+    } catch (ignore) {}
+    return e
+  }
+}
+
+function yieldToEventLoop () {
+  return new Promise(resolve => (typeof setImmediate === 'function' ? setImmediate : setTimeout)(resolve))
+}
+
+function createResultSet ({ rows = [], rowsAffected = 0, insertId }) {
+  return {
+    rows: {
+      length: rows.length,
+      item: index => rows[index]
+    },
+    rowsAffected,
+    insertId
+  }
+}
+
+module.exports = { webSql, cordova, sqlite3, betterSqlite3, sqlJs, createDatabase }
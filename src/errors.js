@@ -0,0 +1,128 @@
+// Error needs to be extended with class; a constructor function doesn't create real errors
+
+/**
+ * Thrown when a migration can't be applied or undone. Everything the migration did is rolled back then.
+ *
+ * @param {Object} migration the failed migration {id, name, ...}
+ * @param {String} direction 'up' or 'down'
+ * @param {Error} cause the error of the statement or function
+ */
+class MigrationError extends Error {
+  constructor (migration, direction, cause) {
+    const description = migration.name ? `${migration.id} (${migration.name})` : String(migration.id)
+    super(`Migration ${description} could not be ${direction === 'down' ? 'undone' : 'applied'}: ${cause.message}`)
+    this.migrationId = migration.id
+    this.migrationName = migration.name || null
+    this.direction = direction
+    // the failing statement; undefined if a function threw an error without a statement
+    this.statement = cause.query
+    this.parameters = cause.parameters
+    this.cause = cause
+  }
+}
+
+MigrationError.prototype.name = 'MigrationError'
+
+/**
+ * Base class of the errors of failed statements
+ *
+ * @param {Error|SQLError} error the error of the database
+ * @param {String} sql the statement
+ * @param {Array} params the bind parameters
+ * @param {String} stack optional; the stack of the call of the helper (the callbacks of WebSQL have none)
+ */
+class DatabaseError extends Error {
+  constructor (error, sql, params, stack) {
+    super(error.message)
+    // WebSQL: a number of SQLError, sqlite3 and better-sqlite3: f.e. SQLITE_CONSTRAINT
+    this.code = error.code
+    this.sql = sql
+    this.params = params
+    // the names of older versions
+    this.query = sql
+    this.parameters = params
+    this.cause = error
+    if (stack) {
+      this.stack = `${this.name}: ${this.message}\n` + stack.split('\n').slice(1).join('\n')
+    }
+  }
+}
+
+DatabaseError.prototype.name = 'DatabaseError'
+
+/**
+ * A constraint failed. kind is UNIQUE, NOT NULL, CHECK, FOREIGN KEY or PRIMARY KEY (null if the message doesn't say).
+ * For UNIQUE, NOT NULL and PRIMARY KEY the message of SQLite contains the table and the column(s).
+ */
+class ConstraintError extends DatabaseError {
+  constructor (error, sql, params, stack) {
+    super(error, sql, params, stack)
+    const [, kind = null, details = ''] =
+      /(UNIQUE|NOT NULL|CHECK|FOREIGN KEY|PRIMARY KEY) constraint failed(?::\s*([^)]+))?/i.exec(this.message) || []
+    this.kind = kind && kind.toUpperCase()
+    // f.e. "user.firstName, user.lastName"
+    const columns = ['UNIQUE', 'NOT NULL', 'PRIMARY KEY'].includes(this.kind)
+      ? details.split(',').map(column => column.trim().split('.')).filter(parts => parts.length === 2)
+      : []
+    this.table = columns.length ? columns[0][0] : null
+    this.column = columns.length ? columns[0][1] : null
+    this.columns = columns.map(parts => parts[1])
+  }
+}
+
+ConstraintError.prototype.name = 'ConstraintError'
+
+/**
+ * The statement is no valid SQL
+ */
+class SyntaxError extends DatabaseError {}
+
+SyntaxError.prototype.name = 'SyntaxError'
+
+/**
+ * The database is full (WebSQL: the quota is exceeded)
+ */
+class QuotaExceededError extends DatabaseError {}
+
+QuotaExceededError.prototype.name = 'QuotaExceededError'
+
+// codes of SQLError in WebSQL
+const QUOTA_ERR = 4
+const CONSTRAINT_ERR = 6
+
+/**
+ * Turns the error of a statement into a DatabaseError or one of its subclasses
+ *
+ * @param {Error|SQLError} error the error of the database
+ * @param {String} sql the statement
+ * @param {Array} params the bind parameters
+ * @param {String} stack optional; the stack of the call of the helper
+ * @returns {DatabaseError}
+ */
+function createDatabaseError (error, sql, params, stack) {
+  if (error instanceof DatabaseError) {
+    return error
+  }
+  const code = String(error.code)
+  const message = String(error.message)
+  if (error.code === CONSTRAINT_ERR || code.startsWith('SQLITE_CONSTRAINT') || /constraint failed/i.test(message)) {
+    return new ConstraintError(error, sql, params, stack)
+  }
+  // WebSQL reports every statement that can't be prepared with SYNTAX_ERR, also f.e. "no such table"
+  if (/syntax error|unrecognized token|incomplete input/i.test(message)) {
+    return new SyntaxError(error, sql, params, stack)
+  }
+  if (error.code === QUOTA_ERR || code === 'SQLITE_FULL' || /quota|database or disk is full/i.test(message)) {
+    return new QuotaExceededError(error, sql, params, stack)
+  }
+  return new DatabaseError(error, sql, params, stack)
+}
+
+module.exports = {
+  MigrationError,
+  DatabaseError,
+  ConstraintError,
+  SyntaxError,
+  QuotaExceededError,
+  createDatabaseError
+}
@@ -0,0 +1,397 @@
+const { tokenize } = require('./tokenizer')
+
+/**
+ * Information about the tables of the database. It asks the PRAGMA table functions (pragma_table_info, ...) and
+ * parses the CREATE statements of sqlite_master if a WebSQL implementation doesn't allow them.
+ * The results are cached until clear() is called; DB() does that after migrations and CREATE, ALTER or DROP statements.
+ *
+ * @param {DB|Transaction} db the instance that runs the queries
+ * @param {Map} cache optional; shared with the schema of the instance that created the transaction
+ * @constructor
+ */
+function Schema (db, cache = new Map()) {
+  this.db = db
+  this.cache = cache
+}
+
+/**
+ * Names of all tables (without the internal ones of SQLite and WebKit)
+ *
+ * @returns {Array}
+ */
+Schema.prototype.tables = function () {
+  return cached.bind(this)('tables', async () =>
+    (await queryRows.bind(this)(
+      `SELECT name FROM sqlite_master
+      WHERE type = 'table' AND name NOT LIKE 'sqlite\\_%' ESCAPE '\\' AND name != '__WebKitDatabaseInfoTable__'
+      ORDER BY name`
+    )).map(row => row.name)
+  )
+}
+
+/**
+ * Columns of a table in the order of their definition
+ *
+ * @param {String} table
+ * @returns {Array} [{name, type, notnull, default, pk}, ...]; default is the SQL of the default value (or null),
+ *   pk is the position of the column in the primary key (0 for other columns)
+ */
+Schema.prototype.columns = function (table) {
+  return cached.bind(this)(`columns:${table}`, async () => {
+    let rows
+    try {
+      rows = await queryRows.bind(this)('SELECT * FROM pragma_table_info(?)', table)
+    } catch (e) {}
+    if (!rows || !rows.length) {
+      // no PRAGMA functions (or they don't return rows in a transaction)
+      return (await parseTableOf.bind(this)(table)).columns
+    }
+    return rows.map(row => ({
+      name: row.name,
+      type: row.type,
+      notnull: !!row.notnull,
+      default: row.dflt_value,
+      pk: row.pk
+    }))
+  })
+}
+
+/**
+ * Indexes of a table including the ones SQLite creates for UNIQUE and PRIMARY KEY constraints
+ *
+ * @param {String} table
+ * @returns {Array} [{name, unique, columns}, ...] sorted by name; a column is null for an expression
+ */
+Schema.prototype.indexes = function (table) {
+  return cached.bind(this)(`indexes:${table}`, async () => {
+    let indexes
+    try {
+      const rows = await queryRows.bind(this)('SELECT * FROM pragma_index_list(?)', table)
+      indexes = []
+      for (const row of rows) {
+        indexes.push({
+          name: row.name,
+          unique: !!row.unique,
+          columns: (await queryRows.bind(this)('SELECT name FROM pragma_index_info(?) ORDER BY seqno', row.name)).map(
+            column => column.name
+          )
+        })
+      }
+    } catch (e) {
+      indexes = await parseIndexesOf.bind(this)(table)
+    }
+    return indexes.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+  })
+}
+
+/**
+ * Foreign keys of a table in the order of their definition
+ *
+ * @param {String} table
+ * @returns {Array} [{table, from, to, onUpdate, onDelete}, ...]; from and to are lists of columns,
+ *   to contains null for the primary key of the referenced table
+ */
+Schema.prototype.foreignKeys = function (table) {
+  return cached.bind(this)(`foreignKeys:${table}`, async () => {
+    let rows
+    try {
+      rows = await queryRows.bind(this)('SELECT * FROM pragma_foreign_key_list(?) ORDER BY id DESC, seq', table)
+    } catch (e) {
+      return (await parseTableOf.bind(this)(table)).foreignKeys
+    }
+    const foreignKeys = []
+    rows.forEach(row => {
+      if (!row.seq) {
+        foreignKeys.push({ table: row.table, from: [], to: [], onUpdate: row.on_update, onDelete: row.on_delete })
+      }
+      const foreignKey = foreignKeys[foreignKeys.length - 1]
+      foreignKey.from.push(row.from)
+      foreignKey.to.push(row.to)
+    })
+    return foreignKeys
+  })
+}
+
+/**
+ * Forgets all cached results. Call it after changing tables without the helpers of DB() (f.e. with another connection).
+ */
+Schema.prototype.clear = function () {
+  this.cache.clear()
+}
+
+// executeSql and not the helpers (query, ...), so plugins don't take the statements of the schema for ones of the user
+async function queryRows (query, ...bindParameters) {
+  const rs = await this.db.executeSql('schema', query, bindParameters, true)
+  return Array.from({ length: rs.rows.length }, (v, i) => rs.rows.item(i))
+}
+
+function cached (key, load) {
+  if (!this.cache.has(key)) {
+    const promise = load()
+    this.cache.set(key, promise)
+    // don't keep errors
+    promise.catch(() => this.cache.delete(key))
+  }
+  return this.cache.get(key)
+}
+
+async function parseTableOf (table) {
+  const [row] = await queryRows.bind(this)(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = ? COLLATE NOCASE",
+    table
+  )
+  return parseCreateTable((row && row.sql) || '')
+}
+
+async function parseIndexesOf (table) {
+  const rows = await queryRows.bind(this)(
+    "SELECT name, sql FROM sqlite_master WHERE type = 'index' AND tbl_name = ? COLLATE NOCASE",
+    table
+  )
+  const { constraints } = await parseTableOf.bind(this)(table)
+  return rows.map(row => {
+    if (row.sql) {
+      return { ...parseCreateIndex(row.sql), name: row.name }
+    }
+    // sqlite_autoindex_<table>_<n> belongs to the nth UNIQUE or PRIMARY KEY constraint
+    const constraint = constraints[Number(row.name.slice(row.name.lastIndexOf('_') + 1)) - 1]
+    return { name: row.name, unique: true, columns: constraint ? constraint.columns : [] }
+  })
+}
+
+const columnConstraintWords = [
+  'CONSTRAINT', 'PRIMARY', 'NOT', 'NULL', 'UNIQUE', 'CHECK', 'DEFAULT', 'COLLATE', 'REFERENCES', 'GENERATED', 'AS'
+]
+
+/**
+ * Parses a CREATE TABLE statement
+ *
+ * @param {String} sql
+ * @returns {Object} {columns, constraints, foreignKeys}: columns like Schema.columns(),
+ *   constraints: the UNIQUE and PRIMARY KEY constraints that need an index [{type, columns}, ...],
+ *   foreignKeys like Schema.foreignKeys()
+ */
+function parseCreateTable (sql) {
+  const result = { columns: [], constraints: [], foreignKeys: [] }
+  const tokens = significantTokens(sql)
+  const start = tokens.findIndex(token => token.text === '(' || /^AS$/i.test(token.text))
+  if (start === -1 || tokens[start].text !== '(') {
+    // CREATE TABLE ... AS SELECT
+    return result
+  }
+  const [definitions] = parseList(tokens, start)
+  let primaryKey = []
+
+  for (const definition of definitions) {
+    let index = 0
+    const word = () => (definition[index] ? definition[index].text.toUpperCase() : '')
+    if (word() === 'CONSTRAINT') {
+      index += 2
+    }
+    if (['PRIMARY', 'UNIQUE', 'CHECK', 'FOREIGN'].includes(word())) {
+      // table constraint
+      const type = word()
+      while (index < definition.length && definition[index].text !== '(') {
+        index++
+      }
+      const [list, end] = parseList(definition, index)
+      const columns = list.map(columnOf)
+      if (type === 'PRIMARY') {
+        primaryKey = columns
+        if (!isRowid(result.columns, columns)) {
+          result.constraints.push({ type: 'PRIMARY KEY', columns })
+        }
+      } else if (type === 'UNIQUE') {
+        result.constraints.push({ type: 'UNIQUE', columns })
+      } else if (type === 'FOREIGN') {
+        result.foreignKeys.push({ ...parseReferences(definition, end + 1), from: columns })
+      }
+      continue
+    }
+
+    const column = { name: unquote(definition[0].text), type: '', notnull: false, default: null, pk: 0 }
+    index = 1
+    const typeStart = index
+    while (index < definition.length && !columnConstraintWords.includes(word())) {
+      index = definition[index].text === '(' ? parseList(definition, index)[1] + 1 : index + 1
+    }
+    column.type = textOf(sql, definition.slice(typeStart, index))
+
+    while (index < definition.length) {
+      switch (word()) {
+        case 'CONSTRAINT':
+          index += 2
+          break
+        case 'PRIMARY':
+          primaryKey = [column.name]
+          if (!isRowid([column], primaryKey)) {
+            result.constraints.push({ type: 'PRIMARY KEY', columns: [column.name] })
+          }
+          index += 2
+          break
+        case 'NOT':
+          if (definition[index + 1] && definition[index + 1].text.toUpperCase() === 'NULL') {
+            column.notnull = true
+          }
+          index += 2
+          break
+        case 'UNIQUE':
+          result.constraints.push({ type: 'UNIQUE', columns: [column.name] })
+          index++
+          break
+        case 'DEFAULT': {
+          const valueStart = ++index
+          if (definition[index] && definition[index].text === '(') {
+            index = parseList(definition, index)[1] + 1
+          } else {
+            // a literal like -1.5 consists of several tokens
+            do {
+              index++
+            } while (index < definition.length && !columnConstraintWords.includes(word()))
+          }
+          column.default = textOf(sql, definition.slice(valueStart, index))
+          break
+        }
+        case 'REFERENCES': {
+          const foreignKey = parseReferences(definition, index)
+          result.foreignKeys.push({ ...foreignKey, from: [column.name] })
+          index = foreignKey.end
+          break
+        }
+        default:
+          // CHECK (...), COLLATE name, GENERATED ALWAYS AS (...), conflict clauses, ...
+          index = definition[index].text === '(' ? parseList(definition, index)[1] + 1 : index + 1
+      }
+    }
+    result.columns.push(column)
+  }
+
+  primaryKey.forEach((name, position) => {
+    const column = result.columns.find(column => column.name.toUpperCase() === String(name).toUpperCase())
+    if (column) {
+      column.pk = position + 1
+    }
+  })
+  result.foreignKeys.forEach(foreignKey => {
+    delete foreignKey.end
+    if (!foreignKey.to.length) {
+      foreignKey.to = foreignKey.from.map(() => null)
+    }
+  })
+  return result
+}
+
+/**
+ * Parses a CREATE INDEX statement
+ *
+ * @param {String} sql
+ * @returns {Object} {name, unique, columns}; a column is null for an expression
+ */
+function parseCreateIndex (sql) {
+  const tokens = significantTokens(sql)
+  const on = tokens.findIndex(token => token.text.toUpperCase() === 'ON')
+  const start = tokens.findIndex((token, index) => index > on && token.text === '(')
+  const [list] = parseList(tokens, start)
+  return {
+    name: unquote(tokens[on - 1].text),
+    unique: tokens[1].text.toUpperCase() === 'UNIQUE',
+    columns: list.map(columnOf)
+  }
+}
+
+// an INTEGER PRIMARY KEY is the rowid and needs no index
+function isRowid (columns, primaryKey) {
+  const column = primaryKey.length === 1 && columns.find(column => column.name === primaryKey[0])
+  return !!column && column.type.toUpperCase() === 'INTEGER'
+}
+
+// REFERENCES table [(columns)] [ON DELETE|UPDATE action] [MATCH name] [[NOT] DEFERRABLE ...]
+function parseReferences (tokens, index) {
+  const foreignKey = { table: unquote(tokens[index + 1].text), to: [], onUpdate: 'NO ACTION', onDelete: 'NO ACTION' }
+  index += 2
+  if (tokens[index] && tokens[index].text === '(') {
+    const [list, end] = parseList(tokens, index)
+    foreignKey.to = list.map(columnOf)
+    index = end + 1
+  }
+  while (tokens[index] && tokens[index].text.toUpperCase() === 'ON') {
+    const event = tokens[index + 1].text.toUpperCase()
+    const action = tokens.slice(index + 2, index + 4).map(token => token.text.toUpperCase())
+    const words = ['SET', 'NO'].includes(action[0]) ? action : action.slice(0, 1)
+    foreignKey[event === 'DELETE' ? 'onDelete' : 'onUpdate'] = words.join(' ')
+    index += 2 + words.length
+  }
+  foreignKey.end = index
+  return foreignKey
+}
+
+// the column of an indexed column like "name COLLATE NOCASE DESC" or null for an expression
+function columnOf (tokens) {
+  if (tokens.length === 1 || ['COLLATE', 'ASC', 'DESC'].includes(tokens[1].text.toUpperCase())) {
+    return unquote(tokens[0].text)
+  }
+  return null
+}
+
+/**
+ * Splits the tokens in parentheses at their top level commas
+ *
+ * @param {Array} tokens
+ * @param {Integer} start index of the opening parenthesis
+ * @returns {Array} [list of token lists, index of the closing parenthesis]
+ */
+function parseList (tokens, start) {
+  const list = [[]]
+  let depth = 0
+  let index = start + 1
+  for (; index < tokens.length; index++) {
+    const text = tokens[index].text
+    if (text === ')' && !depth) {
+      break
+    }
+    if (text === ',' && !depth) {
+      list.push([])
+      continue
+    }
+    if (text === '(') {
+      depth++
+    } else if (text === ')') {
+      depth--
+    }
+    list[list.length - 1].push(tokens[index])
+  }
+  return [list.filter(item => item.length), index]
+}
+
+function significantTokens (sql) {
+  let position = 0
+  return tokenize(sql)
+    .map(token => {
+      token.position = position
+      position += token.text.length
+      return token
+    })
+    .filter(token => token.type !== 'whitespace' && token.type !== 'comment')
+}
+
+// the original text of the tokens with normalized whitespace
+function textOf (sql, tokens) {
+  if (!tokens.length) {
+    return ''
+  }
+  const last = tokens[tokens.length - 1]
+  return sql.slice(tokens[0].position, last.position + last.text.length).replace(/\s+/g, ' ')
+}
+
+function unquote (name) {
+  const quote = name[0]
+  if (quote === '[') {
+    return name.slice(1, -1)
+  }
+  if (['"', '`', "'"].includes(quote)) {
+    return name.slice(1, -1).split(quote + quote).join(quote)
+  }
+  return name
+}
+
+module.exports = { Schema, parseCreateTable, parseCreateIndex }
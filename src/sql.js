@@ -0,0 +1,95 @@
+/**
+ * A part of a query: the SQL text with ? as placeholders and the values for them.
+ * Created by the sql tagged template; every query helper accepts it instead of a string.
+ *
+ * @param {String} text the SQL text
+ * @param {Array} values the values for the placeholders
+ * @constructor
+ */
+function SqlFragment (text, values = []) {
+  this.text = text
+  this.values = values
+}
+
+SqlFragment.prototype.toString = function () {
+  return this.text
+}
+
+/**
+ * Tagged template to build queries. Every ${value} becomes a bound parameter, an array becomes a list of parameters
+ * (f.e. for IN) and nested fragments (sql`...`, sql.id(), sql.join(), sql.raw()) are inserted with their values.
+ *
+ * @example DB().query(sql`SELECT * FROM ${sql.id(table)} WHERE id IN (${ids}) AND ${sql.id(column)} = ${value}`)
+ * @returns {SqlFragment}
+ */
+function sql (strings, ...values) {
+  let text = strings[0]
+  const parameter = []
+  values.forEach((value, index) => {
+    const fragment = toFragment(value)
+    text += fragment.text + strings[index + 1]
+    parameter.push(...fragment.values)
+  })
+  return new SqlFragment(text, parameter)
+}
+
+/**
+ * A quoted identifier (name of a table, column, ...). More than one name are joined with a dot, f.e. sql.id('main', 'users')
+ *
+ * @param {String} names
+ * @returns {SqlFragment}
+ */
+sql.id = function (...names) {
+  return new SqlFragment(names.map(quoteIdentifier).join('.'))
+}
+
+/**
+ * Trusted SQL text that is inserted without any escaping
+ *
+ * @param {String} text
+ * @returns {SqlFragment}
+ */
+sql.raw = function (text) {
+  return new SqlFragment(String(text))
+}
+
+/**
+ * Joins fragments or values with a separator, f.e. for lists of columns or conditions
+ *
+ * @example sql`SELECT ${sql.join(columns.map(c => sql.id(c)))} FROM users WHERE ${sql.join(conditions, ' AND ')}`
+ * @param {Array} items fragments or values
+ * @param {String} separator optional; default is ', '
+ * @returns {SqlFragment}
+ */
+sql.join = function (items, separator = ', ') {
+  const fragments = items.map(toFragment)
+  return new SqlFragment(
+    fragments.map(fragment => fragment.text).join(separator),
+    fragments.reduce((values, fragment) => values.concat(fragment.values), [])
+  )
+}
+
+function toFragment (value) {
+  if (value instanceof SqlFragment) {
+    return value
+  }
+  if (Array.isArray(value)) {
+    // an empty subquery keeps "IN (...)" valid
+    return value.length
+      ? new SqlFragment(value.map(() => '?').join(', '), value)
+      : new SqlFragment('SELECT NULL WHERE 0')
+  }
+  return new SqlFragment('?', [value])
+}
+
+/**
+ * Quotes the name of a table, column, ... for SQL
+ *
+ * @param {String} name
+ * @returns {String}
+ */
+function quoteIdentifier (name) {
+  return '`' + String(name).replace(/`/g, '``') + '`'
+}
+
+module.exports = { sql, SqlFragment, quoteIdentifier }
@@ -0,0 +1,167 @@
+/**
+ * Splits SQL into tokens. It only knows as much about SQL as the helpers need: string literals, quoted identifiers,
+ * comments, bind parameters and statement borders. Everything else is a word, whitespace or a single character.
+ *
+ * Types of the tokens:
+ *   string      'text' (quotes are escaped by doubling them)
+ *   identifier  "name", `name` or [name]
+ *   comment     -- till the end of the line or /* ... *\/
+ *   parameter   ?, ?NNN, :name, @name or $name
+ *   semicolon   ;
+ *   whitespace
+ *   word        keywords, unquoted names and numbers
+ *   other       any other single character
+ *
+ * @param {String} sql
+ * @returns {Array} list of {type, text}; joining all texts results in the original sql
+ */
+function tokenize (sql) {
+  const tokens = []
+  let position = 0
+  while (position < sql.length) {
+    const [type, end] = nextToken(sql, position)
+    tokens.push({ type, text: sql.slice(position, end) })
+    position = end
+  }
+  return tokens
+}
+
+const wordPattern = /[A-Za-z0-9_$\u0080-\uffff]+/y
+const namedParameterPattern = /[:@$][A-Za-z0-9_]+/y
+const numberedParameterPattern = /\?[0-9]*/y
+const whitespacePattern = /\s+/y
+
+function nextToken (sql, position) {
+  const char = sql[position]
+  const next = sql[position + 1]
+
+  if (char === '-' && next === '-') {
+    const end = sql.indexOf('\n', position)
+    return ['comment', end === -1 ? sql.length : end + 1]
+  }
+  if (char === '/' && next === '*') {
+    const end = sql.indexOf('*/', position + 2)
+    return ['comment', end === -1 ? sql.length : end + 2]
+  }
+  if (char === "'") {
+    return ['string', endOfQuoted(sql, position, "'")]
+  }
+  if (char === '"' || char === '`') {
+    return ['identifier', endOfQuoted(sql, position, char)]
+  }
+  if (char === '[') {
+    const end = sql.indexOf(']', position + 1)
+    return ['identifier', end === -1 ? sql.length : end + 1]
+  }
+  if (char === ';') {
+    return ['semicolon', position + 1]
+  }
+  if (char === '?') {
+    return ['parameter', endOfPattern(sql, position, numberedParameterPattern)]
+  }
+  if (char === ':' || char === '@' || char === '$') {
+    const end = endOfPattern(sql, position, namedParameterPattern)
+    if (end) {
+      return ['parameter', end]
+    }
+  }
+  const endOfWhitespace = endOfPattern(sql, position, whitespacePattern)
+  if (endOfWhitespace) {
+    return ['whitespace', endOfWhitespace]
+  }
+  const endOfWord = endOfPattern(sql, position, wordPattern)
+  if (endOfWord) {
+    return ['word', endOfWord]
+  }
+  return ['other', position + 1]
+}
+
+function endOfQuoted (sql, position, quote) {
+  let index = position + 1
+  while (index < sql.length) {
+    if (sql[index] === quote) {
+      if (sql[index + 1] !== quote) {
+        return index + 1
+      }
+      // doubled quote is an escaped quote
+      index++
+    }
+    index++
+  }
+  return sql.length
+}
+
+function endOfPattern (sql, position, pattern) {
+  pattern.lastIndex = position
+  return pattern.test(sql) ? pattern.lastIndex : 0
+}
+
+/**
+ * Splits a script into its statements. Semicolons in strings, quoted identifiers and comments don't end a
+ * statement and neither do the semicolons in the BEGIN ... END body of a CREATE TRIGGER.
+ * Comments before and after a statement are removed, as is the semicolon at its end.
+ *
+ * @param {String} script
+ * @returns {Array} list of statements
+ */
+function splitStatements (script) {
+  const statements = []
+  let statement = []
+  // the words of the statement so far (upper case) to find CREATE [TEMP] TRIGGER
+  let words = []
+  // BEGIN and CASE open a block that END closes
+  let depth = 0
+
+  const finish = () => {
+    const text = trimTokens(statement).map(token => token.text).join('')
+    if (text) {
+      statements.push(text)
+    }
+    statement = []
+    words = []
+    depth = 0
+  }
+
+  for (const token of tokenize(script)) {
+    if (token.type === 'semicolon' && !depth) {
+      finish()
+      continue
+    }
+    statement.push(token)
+    if (token.type !== 'word') {
+      continue
+    }
+    const word = token.text.toUpperCase()
+    words.push(word)
+    if (!isTrigger(words)) {
+      continue
+    }
+    if (word === 'BEGIN' || word === 'CASE') {
+      depth++
+    } else if (word === 'END' && depth) {
+      depth--
+    }
+  }
+  finish()
+  return statements
+}
+
+function isTrigger (words) {
+  return words[0] === 'CREATE' &&
+    (words[1] === 'TRIGGER' || (['TEMP', 'TEMPORARY'].includes(words[1]) && words[2] === 'TRIGGER'))
+}
+
+function trimTokens (tokens) {
+  const isBlank = token => token.type === 'whitespace' || token.type === 'comment'
+  let start = 0
+  let end = tokens.length
+  while (start < end && isBlank(tokens[start])) {
+    start++
+  }
+  while (end > start && isBlank(tokens[end - 1])) {
+    end--
+  }
+  return tokens.slice(start, end)
+}
+
+module.exports = { tokenize, splitStatements }
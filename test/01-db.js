@@ -78,6 +78,74 @@ describe('Database Basics', function () {
     expect(await db.queryKeyAndColumn('1', '2', 'SELECT ? as `1`, ? as `2` UNION SELECT ? as `1`, ? as `2`', 1, 2, 3, 4)).to.deep.equal({ 1: 2, 3: 4 })
   })
 
+  it('should bind named parameters', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    expect(await db.queryFirstRow(
+      'SELECT :a as `1`, @b as `2`, $a as `3`, \':a\' as `4` -- :c\n /* @c */',
+      { a: 1, b: 2 }
+    )).to.deep.equal({ 1: 1, 2: 2, 3: 1, 4: ':a' })
+  })
+
+  it('should throw for missing named parameters', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    let error
+    try {
+      await db.query('SELECT :a, :missing', { a: 1 })
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.contain(':missing')
+  })
+
+  it('should expand arrays in parameters', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    const query = 'SELECT x FROM (SELECT 1 as x UNION SELECT 2 UNION SELECT 3) WHERE x IN (?) AND x != ?'
+    expect(await db.queryColumn('x', query, [1, 2, 3], 2)).to.deep.equal([1, 3])
+    expect(await db.queryColumn('x', query, [], 2)).to.deep.equal([])
+    expect(await db.queryColumn('x', 'SELECT 1 as x WHERE 1 NOT IN (:ids)', { ids: [] })).to.deep.equal([1])
+  })
+
+  it('should run many queries in one transaction with batch', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    expect(await db.batch([
+      'SELECT 1 as `1`',
+      ['queryFirstCell', 'SELECT ?', 2],
+      ['queryColumn', '1', 'SELECT ? as `1` UNION SELECT ? as `1`', 3, 4]
+    ])).to.deep.equal([
+      { status: 'fulfilled', value: [{ 1: 1 }] },
+      { status: 'fulfilled', value: 2 },
+      { status: 'fulfilled', value: [3, 4] }
+    ])
+  })
+
+  it('should report errors of single queries in batch', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    const [first, second, third] = await db.batch([
+      ['queryFirstCell', 'SELECT 1'],
+      ['queryFirstCell', 'SELECT * FROM notExisting'],
+      ['queryFirstCell', 'SELECT 3']
+    ])
+    expect(first).to.deep.equal({ status: 'fulfilled', value: 1 })
+    expect(second.status).to.equal('rejected')
+    expect(second.reason.query).to.equal('SELECT * FROM notExisting')
+    expect(third).to.deep.equal({ status: 'fulfilled', value: 3 })
+  })
+
   it('should migrate files', async function () {
     db = new DB({
       db: openDatabase(':memory:', '1.0', 'description', 1),
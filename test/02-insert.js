@@ -82,4 +82,97 @@ describe('Database Insert', function () {
     }], ['type'])).to.be.equal(2)
     expect(await db.queryFirstCell('SELECT type FROM Setting WHERE key = ?', 'test2')).to.equal(0)
   })
+
+  it('can insert more rows than variables are allowed in one statement', async function () {
+    db = new DB(dbOptions())
+    const rows = Array.from({ length: 600 }, (v, i) => ({ key: `bulk${i}`, value: i, type: 1 }))
+    expect(await db.insert('Setting', rows)).to.be.equal(601)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting WHERE type = 1')).to.be.equal(600)
+  })
+
+  it('rolls back all chunks when one of them fails', async function () {
+    db = new DB({ ...dbOptions(), maxVariables: 6 })
+    let error
+    try {
+      await db.insert('Setting', [
+        { key: 'test2', value: '1' },
+        { key: 'test3', value: '1' },
+        { key: 'test4', value: '1' },
+        { key: 'test', value: '1' }
+      ])
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.an('error')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(1)
+  })
+
+  it('can insert row by row without multi-row support', async function () {
+    db = new DB({ ...dbOptions(), multiRowInsert: false })
+    expect(await db.insert('Setting', [
+      { key: 'test2', value: '1' },
+      { key: 'test3', value: '1' }
+    ])).to.be.equal(3)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(3)
+  })
+
+  it('can return all inserted ids', async function () {
+    db = new DB(dbOptions())
+    expect(await db.insert('Setting', [
+      { key: 'test2', value: '1' },
+      { key: 'test3', value: '1' }
+    ], undefined, { returnIds: true })).to.deep.equal([2, 3])
+  })
+
+  it('can insert rows with different columns', async function () {
+    db = new DB(dbOptions())
+    await db.insert('Setting', [
+      { key: 'test2', value: '1', type: 2 },
+      { key: 'test3' },
+      { key: 'test4', type: 3 },
+      { type: 4, key: 'test5', value: '5' }
+    ])
+    expect(await db.queryKeyAndColumn('key', 'type', 'SELECT key, type FROM Setting')).to.deep.equal({
+      test: 0, test2: 2, test3: 0, test4: 3, test5: 4
+    })
+    expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test5')).to.be.equal('5')
+  })
+
+  it('inserts rows with different columns in the order of the array', async function () {
+    db = new DB(dbOptions())
+    expect(await db.insert('Setting', [
+      { key: 'test2', value: '1' },
+      { key: 'test3' },
+      { key: 'test4', value: '1' },
+      { key: 'test5', value: '1' }
+    ])).to.be.equal(5)
+    expect(await db.queryKeyAndColumn('key', 'rowid', 'SELECT rowid, key FROM Setting')).to.deep.equal({
+      test: 1, test2: 2, test3: 3, test4: 4, test5: 5
+    })
+  })
+
+  it('throws for rows with missing columns if wanted', async function () {
+    db = new DB(dbOptions())
+    let error
+    try {
+      await db.insert('Setting', [
+        { key: 'test2', value: '1' },
+        { key: 'test3' }
+      ], undefined, { missingColumns: 'error' })
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.contain('Row 1').and.contain('value')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(1)
+  })
+
+  it('binds an array as value of a column as it is', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    const params = []
+    db.on('query:start', event => event.sql.startsWith('INSERT') && params.push(event.params))
+    expect(await db.insert('Setting', { key: 'tags', value: ['a', 'b'] })).to.be.equal(2)
+    expect(await db.upsert('Setting', { key: 'tags', value: ['c'] }, ['key'])).to.be.equal(1)
+    expect(params).to.deep.equal([['tags', ['a', 'b']], ['tags', ['c']]])
+  })
 })
@@ -35,6 +35,13 @@ describe('Database Update', function () {
     expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting WHERE key = ?', 'test2')).to.be.equal(1)
   })
 
+  it('can update with an array as parameter of where', async function () {
+    db = new DB(dbOptions())
+    expect(await db.update('Setting', {
+      value: '1234'
+    }, ['`key` IN (?)', ['test', 'test2']])).to.be.equal(1)
+  })
+
   it('can update with whitelist', async function () {
     db = new DB(dbOptions())
     expect(await db.update('Setting', {
@@ -55,4 +62,40 @@ describe('Database Update', function () {
 
     expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test')).to.equal('1234')
   })
+
+  it('can upsert a new row', async function () {
+    db = new DB(dbOptions())
+    expect(await db.upsert('Setting', { key: 'test2', value: '1234' }, ['key'])).to.be.equal(1)
+    expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test2')).to.equal('1234')
+  })
+
+  it('can upsert an existing row without touching other columns', async function () {
+    db = new DB(dbOptions())
+    await db.update('Setting', { type: 2 }, { key: 'test' })
+    expect(await db.upsert('Setting', { key: 'test', value: '1234' }, 'key')).to.be.equal(1)
+    expect(await db.queryFirstRow('SELECT * FROM Setting WHERE key = ?', 'test')).to.deep.equal({ key: 'test', value: '1234', type: 2 })
+  })
+
+  it('can upsert with update then insert on older SQLite versions', async function () {
+    db = new DB({ ...dbOptions(), sqliteVersion: '3.8.0' })
+    expect(await db.upsert('Setting', [
+      { key: 'test', value: '1234', type: 3 },
+      { key: 'test2', value: '5678', type: 4 }
+    ], ['key'], { updateColumns: ['value'] })).to.be.equal(2)
+    expect(await db.queryKeyAndColumn('key', 'value', 'SELECT * FROM Setting')).to.deep.equal({ test: '1234', test2: '5678' })
+    expect(await db.queryKeyAndColumn('key', 'type', 'SELECT * FROM Setting')).to.deep.equal({ test: 0, test2: 4 })
+  })
+
+  it('binds an array as value of a column as it is and expands the ones of where', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    const statements = []
+    db.on('query:start', ({ sql, params }) => statements.push([sql, params]))
+    expect(await db.update('Setting', { value: ['a', 'b'] }, ['`key` IN (?)', ['test', 'other']])).to.be.equal(1)
+    expect(await db.update('Setting', { value: ['c'] }, { key: ['test', 'other'] })).to.be.equal(1)
+    expect(statements).to.deep.equal([
+      ['UPDATE `Setting` SET `value` = ? WHERE `key` IN (?, ?)', [['a', 'b'], 'test', 'other']],
+      ['UPDATE `Setting` SET `value` = ? WHERE `key` IN (?, ?)', [['c'], 'test', 'other']]
+    ])
+  })
 })
@@ -0,0 +1,90 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const migrate = require('./migrations/migration.js')
+
+let db = null
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: migrate
+})
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('Database Transaction', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('commits all statements when the callback resolves', async function () {
+    db = new DB(dbOptions())
+    expect(await db.transaction(async t => {
+      await t.insert('Setting', { key: 'test2', value: '1' })
+      await t.update('Setting', { value: '2' }, { key: 'test2' })
+      return t.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test2')
+    })).to.be.equal('2')
+    expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test2')).to.be.equal('2')
+  })
+
+  it('rolls back all statements when the callback throws', async function () {
+    db = new DB(dbOptions())
+    let error
+    try {
+      await db.transaction(async t => {
+        await t.insert('Setting', { key: 'test2', value: '1' })
+        await t.update('Setting', { value: '2' }, { key: 'test' })
+        throw new Error('abort')
+      })
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.be.equal('abort')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting WHERE key = ?', 'test2')).to.be.equal(0)
+    expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test')).to.be.equal('now')
+  })
+
+  it('rolls back when a statement fails and the error is not caught', async function () {
+    db = new DB(dbOptions())
+    let error
+    try {
+      await db.transaction(async t => {
+        await t.insert('Setting', { key: 'test2', value: '1' })
+        await t.insert('Setting', { key: 'test2', value: '2' })
+      })
+    } catch (e) {
+      error = e
+    }
+    expect(error.query).to.be.a('string')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting WHERE key = ?', 'test2')).to.be.equal(0)
+  })
+
+  it('keeps the transaction open while awaiting other things', async function () {
+    db = new DB(dbOptions())
+    let error
+    try {
+      await db.transaction(async t => {
+        await t.insert('Setting', { key: 'test2', value: '1' })
+        await wait(20)
+        await t.insertWithBlackList('Setting', { key: 'test3', value: '1', type: 1 }, ['type'])
+        await wait(20)
+        throw new Error('abort')
+      })
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.be.equal('abort')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting WHERE key IN (?, ?)', 'test2', 'test3')).to.be.equal(0)
+  })
+
+  it('can not be used after the transaction is finished', async function () {
+    db = new DB(dbOptions())
+    const t = await db.transaction(async t => t)
+    let error
+    try {
+      await t.query('SELECT 1')
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.an('error')
+  })
+})
@@ -0,0 +1,58 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const migrate = require('./migrations/migration.js')
+
+let db = null
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: migrate
+})
+
+describe('Database Delete', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('can delete with object as where', async function () {
+    db = new DB(dbOptions())
+    expect(await db.delete('Setting', {
+      key: 'test',
+      value: 'now'
+    })).to.be.equal(1)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(0)
+  })
+
+  it('can delete with array as where', async function () {
+    db = new DB(dbOptions())
+    await db.insert('Setting', [{ key: 'test2' }, { key: 'test3' }])
+    expect(await db.delete('Setting', ['`key` IN (?, ?)', 'test2', 'test3'])).to.be.equal(2)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(1)
+  })
+
+  it('does not delete without where', async function () {
+    db = new DB(dbOptions())
+    let error
+    try {
+      await db.delete('Setting', {})
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.contain('Where')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM Setting')).to.be.equal(1)
+  })
+
+  it('can delete with blacklist', async function () {
+    db = new DB(dbOptions())
+    expect(await db.deleteWithBlackList('Setting', { key: 'test' }, ['type'])).to.be.equal(1)
+
+    let error
+    try {
+      await db.deleteWithBlackList('Setting', { type: 0, unknown: 1 }, ['type'])
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.contain('`type` is not allowed')
+  })
+})
@@ -0,0 +1,70 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const migrate = require('./migrations/migration.js')
+
+let db = null
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: migrate
+})
+const createDb = async () => {
+  db = new DB(dbOptions())
+  await db.insert('Setting', [
+    { key: 'a', value: '1', type: 1 },
+    { key: 'b', value: '2', type: 2 },
+    { key: 'c', value: '3', type: 3 }
+  ])
+  return db
+}
+
+describe('Database Select', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('can select all rows', async function () {
+    db = await createDb()
+    expect(await db.select('Setting')).to.have.lengthOf(4)
+  })
+
+  it('can select with object, array and operators as where', async function () {
+    db = await createDb()
+    expect(await db.selectColumn('key', 'Setting', { where: { type: 2 } })).to.deep.equal(['b'])
+    expect(await db.selectColumn('key', 'Setting', { where: ['type > ?', 1], orderBy: 'key' })).to.deep.equal(['b', 'c'])
+    expect(await db.selectColumn('key', 'Setting', {
+      where: { type: { '>=': 1, '<': 3 }, key: { 'not in': ['a'] } }
+    })).to.deep.equal(['b'])
+    expect(await db.selectColumn('key', 'Setting', { where: { key: ['a', 'c'] }, orderBy: { key: 'desc' } })).to.deep.equal(['c', 'a'])
+    expect(await db.select('Setting', { where: { key: { in: [] } } })).to.deep.equal([])
+  })
+
+  it('can select with columns, order, limit and offset', async function () {
+    db = await createDb()
+    expect(await db.select('Setting', {
+      columns: ['key', 'type'],
+      orderBy: { type: 'DESC' },
+      limit: 2,
+      offset: 1
+    })).to.deep.equal([{ key: 'b', type: 2 }, { key: 'a', type: 1 }])
+  })
+
+  it('can select the first row and key and column', async function () {
+    db = await createDb()
+    expect(await db.selectFirstRow('Setting', { where: { type: { between: [2, 3] } }, orderBy: ['key'] })).to.deep.equal({ key: 'b', value: '2', type: 2 })
+    expect(await db.selectFirstRow('Setting', { where: ['1 = 0'] })).to.equal(null)
+    expect(await db.selectKeyAndColumn('key', 'value', 'Setting', { where: { type: { '!=': 0 } } })).to.deep.equal({ a: '1', b: '2', c: '3' })
+  })
+
+  it('throws for unknown operators', async function () {
+    db = await createDb()
+    let error
+    try {
+      await db.select('Setting', { where: { type: { 'OR 1=1 --': 1 } } })
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.contain('not supported')
+  })
+})
@@ -0,0 +1,47 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const { sql } = require('../src/database')
+const openDatabase = require('websql')
+const migrate = require('./migrations/migration.js')
+
+let db = null
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: migrate
+})
+
+describe('Database sql tagged template', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('binds values and quotes identifiers', function () {
+    const fragment = sql`SELECT ${sql.id('a`b')} FROM ${sql.id('main', 'Setting')} WHERE key = ${'x'} AND type IN (${[1, 2]})`
+    expect(fragment.text).to.equal('SELECT `a``b` FROM `main`.`Setting` WHERE key = ? AND type IN (?, ?)')
+    expect(fragment.values).to.deep.equal(['x', 1, 2])
+  })
+
+  it('nests and joins fragments', function () {
+    const conditions = [sql`a = ${1}`, sql`b = ${2}`]
+    const fragment = sql`SELECT ${sql.join(['a', 'b'].map(c => sql.id(c)))} FROM t WHERE ${sql.join(conditions, ' AND ')}${sql.raw(' LIMIT 1')}`
+    expect(fragment.text).to.equal('SELECT `a`, `b` FROM t WHERE a = ? AND b = ? LIMIT 1')
+    expect(fragment.values).to.deep.equal([1, 2])
+  })
+
+  it('can be used in every helper', async function () {
+    db = new DB(dbOptions())
+    const table = sql.id('Setting')
+    expect(await db.queryFirstCell(sql`SELECT value FROM ${table} WHERE key = ${'test'}`)).to.equal('now')
+    expect(await db.queryColumn('key', sql`SELECT key FROM ${table} WHERE key IN (${[]})`)).to.deep.equal([])
+    expect(await db.update('Setting', { value: '1' }, sql`key = ${'test'}`)).to.equal(1)
+    expect(await db.selectColumn('value', 'Setting', { where: [sql`key = ${'test'}`] })).to.deep.equal(['1'])
+  })
+
+  it('quotes table and column names in the helpers', async function () {
+    db = new DB(dbOptions())
+    await db.run('CREATE TABLE `we``ird` (`col``umn` TEXT)')
+    await db.insert('we`ird', { 'col`umn': 'a' })
+    expect(await db.selectColumn('col`umn', 'we`ird', { where: { 'col`umn': 'a' } })).to.deep.equal(['a'])
+  })
+})
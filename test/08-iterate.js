@@ -0,0 +1,61 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+
+let db = null
+const createDb = async () => {
+  db = new DB({
+    db: openDatabase(':memory:', '1.0', 'description', 1),
+    migrate: false
+  })
+  await db.run('CREATE TABLE log (id INTEGER PRIMARY KEY, level TEXT)')
+  await db.insert('log', Array.from({ length: 250 }, (v, i) => ({ level: i % 2 ? 'info' : 'error' })))
+  return db
+}
+const collect = async iterator => {
+  const rows = []
+  for await (const row of iterator) {
+    rows.push(row)
+  }
+  return rows
+}
+
+describe('Database Iterate', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('iterates over a query with LIMIT and OFFSET', async function () {
+    db = await createDb()
+    const rows = await collect(db.iterate({ query: 'SELECT id FROM log WHERE level = ?', pageSize: 40 }, 'error'))
+    expect(rows).to.have.lengthOf(125)
+    expect(rows[124]).to.deep.equal({ id: 249 })
+  })
+
+  it('iterates over a query by a key', async function () {
+    db = await createDb()
+    const rows = await collect(db.iterate({ query: 'SELECT * FROM log;', key: 'id', pageSize: 100 }))
+    expect(rows.map(row => row.id)).to.deep.equal(Array.from({ length: 250 }, (v, i) => i + 1))
+  })
+
+  it('iterates over a table by rowid', async function () {
+    db = await createDb()
+    const rows = await collect(db.iterate({ table: 'log', where: { level: 'info' }, columns: ['id'], pageSize: 30 }))
+    expect(rows).to.have.lengthOf(125)
+    expect(rows[0]).to.deep.equal({ id: 2 })
+  })
+
+  it('can stop early', async function () {
+    db = await createDb()
+    let count = 0
+    for await (const row of db.iterate('SELECT * FROM log')) {
+      if (row.id === 150) {
+        break
+      }
+      count++
+    }
+    expect(count).to.equal(149)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM log')).to.equal(250)
+  })
+})
@@ -0,0 +1,47 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+
+let db = null
+const createDb = async () => {
+  db = new DB({
+    db: openDatabase(':memory:', '1.0', 'description', 1),
+    migrate: false
+  })
+  await db.run('CREATE TABLE message (id INTEGER PRIMARY KEY, user TEXT)')
+  await db.insert('message', Array.from({ length: 45 }, (v, i) => ({ user: i % 3 ? 'a' : 'b' })))
+  return db
+}
+
+describe('Database Pages', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('returns a page with the total count', async function () {
+    db = await createDb()
+    const result = await db.queryPage('SELECT id FROM message WHERE user = ? ORDER BY id', { page: 3, pageSize: 12 }, 'a')
+    expect(result.total).to.equal(30)
+    expect(result.pageCount).to.equal(3)
+    expect(result.page).to.equal(3)
+    expect(result.pageSize).to.equal(12)
+    expect(result.rows).to.have.lengthOf(6)
+    expect(result.rows[0]).to.deep.equal({ id: 38 })
+  })
+
+  it('returns pages by cursor', async function () {
+    db = await createDb()
+    const first = await db.queryCursorPage('SELECT * FROM message', { key: 'id', pageSize: 20, order: 'desc' })
+    expect(first.rows[0].id).to.equal(45)
+    expect(first.cursor).to.equal(26)
+    expect(first.hasMore).to.equal(true)
+
+    await db.insert('message', { user: 'c' })
+    const second = await db.queryCursorPage('SELECT * FROM message', { key: 'id', pageSize: 20, order: 'desc', after: first.cursor })
+    expect(second.rows[0].id).to.equal(25)
+    const third = await db.queryCursorPage('SELECT * FROM message', { key: 'id', pageSize: 20, order: 'desc', after: second.cursor })
+    expect(third.rows).to.have.lengthOf(5)
+    expect(third.hasMore).to.equal(false)
+  })
+})
@@ -0,0 +1,405 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+
+let db = null
+// the websql module has no changeVersion; this one behaves like the one of the browsers
+const withChangeVersion = webSql => ({
+  version: '',
+  transaction: (...args) => webSql.transaction(...args),
+  readTransaction: (...args) => webSql.readTransaction(...args),
+  changeVersion (oldVersion, newVersion, callback, errorCallback, successCallback) {
+    if (oldVersion !== this.version) {
+      setTimeout(() => errorCallback(Object.assign(new Error('version mismatch'), { code: 2 })))
+      return
+    }
+    webSql.transaction(callback, errorCallback, () => {
+      this.version = newVersion
+      if (successCallback) {
+        successCallback()
+      }
+    })
+  }
+})
+const migrations = () => [
+  {
+    id: 1,
+    name: 'create user',
+    up: 'CREATE TABLE user (id INTEGER PRIMARY KEY, name TEXT)',
+    down: 'DROP TABLE user'
+  },
+  {
+    id: 5,
+    name: 'add admin',
+    up: "INSERT INTO user (id, name) VALUES (1, 'admin')",
+    down: 'DELETE FROM user WHERE id = 1'
+  }
+]
+
+describe('Database Migrations', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('applies migrations given as objects in the order of their ids', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: migrations().reverse()
+    })
+    expect(await db.queryFirstCell('SELECT name FROM user WHERE id = 1')).to.equal('admin')
+    expect(await db.query('SELECT id, name FROM Migrations')).to.deep.equal([
+      { id: 1, name: 'create user' },
+      { id: 5, name: 'add admin' }
+    ])
+  })
+
+  it('applies migrations that are inserted in the middle', async function () {
+    const webSql = openDatabase(':memory:', '1.0', 'description', 1)
+    await new DB({ db: webSql, migrate: migrations() }).connection()
+    db = new DB({
+      db: webSql,
+      migrate: [
+        ...migrations(),
+        { id: 3, up: 'ALTER TABLE user ADD COLUMN email TEXT', down: '' }
+      ]
+    })
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([1, 3, 5])
+    expect(await db.queryFirstRow('SELECT * FROM user')).to.deep.equal({ id: 1, name: 'admin', email: null })
+  })
+
+  it('throws if an applied migration was changed', async function () {
+    const webSql = openDatabase(':memory:', '1.0', 'description', 1)
+    await new DB({ db: webSql, migrate: migrations() }).connection()
+    const changed = migrations()
+    changed[1].up = "INSERT INTO user (id, name) VALUES (1, 'root')"
+    db = new DB({ db: webSql, migrate: changed })
+    let error
+    try {
+      await db.connection()
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.contain('5 (add admin) was changed')
+  })
+
+  it('applies a changed migration again with force', async function () {
+    const webSql = openDatabase(':memory:', '1.0', 'description', 1)
+    await new DB({ db: webSql, migrate: migrations() }).connection()
+    const changed = migrations()
+    changed[1].up = "INSERT INTO user (id, name) VALUES (1, 'root')"
+    db = new DB({ db: webSql, migrate: { force: true, migrations: changed } })
+    expect(await db.queryFirstCell('SELECT name FROM user WHERE id = 1')).to.equal('root')
+  })
+
+  it('migrates down and up to a migration', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: migrations()
+    })
+    await db.migrateTo('create user')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM user')).to.equal(0)
+    await db.migrateTo(5)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM user')).to.equal(1)
+  })
+
+  it('rolls back the last migrations', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: migrations()
+    })
+    await db.rollback()
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([1])
+    await db.rollback(5)
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([])
+    expect(await db.queryFirstCell("SELECT COUNT(1) FROM sqlite_master WHERE name = 'user'")).to.equal(0)
+  })
+
+  it('throws for steps of rollback that are no non-negative integer', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: migrations()
+    })
+    for (const steps of [-1, 1.5, '1', null]) {
+      let error
+      try {
+        await db.rollback(steps)
+      } catch (e) {
+        error = e
+      }
+      expect(error.message).to.contain('non-negative integer')
+    }
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([1, 5])
+  })
+
+  it('returns the statements without changing the database in a dry run', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    expect(await db.migrate({ migrations: migrations(), dryRun: true })).to.deep.equal([
+      { id: 1, name: 'create user', direction: 'up', query: 'CREATE TABLE user (id INTEGER PRIMARY KEY, name TEXT)' },
+      { id: 5, name: 'add admin', direction: 'up', query: "INSERT INTO user (id, name) VALUES (1, 'admin')" }
+    ])
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM sqlite_master')).to.equal(0)
+
+    await db.migrate({ migrations: migrations() })
+    expect(await db.rollback(2, { dryRun: true })).to.deep.equal([
+      { id: 5, name: 'add admin', direction: 'down', query: 'DELETE FROM user WHERE id = 1' },
+      { id: 1, name: 'create user', direction: 'down', query: 'DROP TABLE user' }
+    ])
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM user')).to.equal(1)
+  })
+
+  it("doesn't apply the migrations of the constructor in a dry run", async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: { migrations: migrations() }
+    })
+    const planned = [
+      { id: 1, name: 'create user', direction: 'up', query: 'CREATE TABLE user (id INTEGER PRIMARY KEY, name TEXT)' },
+      { id: 5, name: 'add admin', direction: 'up', query: "INSERT INTO user (id, name) VALUES (1, 'admin')" }
+    ]
+    expect(await db.migrate({ dryRun: true })).to.deep.equal(planned)
+    expect(await db.migrateTo(5, { dryRun: true })).to.deep.equal(planned)
+    expect(await db.rollback(1, { dryRun: true })).to.deep.equal([])
+    expect(db.db).to.equal(undefined)
+
+    // the first query connects and applies them
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM user')).to.equal(1)
+    expect(await db.rollback(1, { dryRun: true })).to.deep.equal([
+      { id: 5, name: 'add admin', direction: 'down', query: 'DELETE FROM user WHERE id = 1' }
+    ])
+  })
+
+  it('applies the migrations of the constructor when migrate is called before connecting', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: { migrations: migrations() }
+    })
+    expect(await db.migrate()).to.equal(undefined)
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([1, 5])
+  })
+
+  it('runs functions as migrations together with SQL migrations', async function () {
+    const renameAdmin = {
+      id: 7,
+      name: 'rename admin',
+      up: async t => {
+        const name = await t.queryFirstCell('SELECT name FROM user WHERE id = 1')
+        await t.update('user', { name: name.toUpperCase() }, { id: 1 })
+        await t.insert('user', { id: 2, name: 'guest' })
+      },
+      down: async t => {
+        await t.delete('user', { id: 2 })
+        await t.update('user', { name: 'admin' }, { id: 1 })
+      }
+    }
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: [...migrations(), renameAdmin]
+    })
+    expect(await db.queryColumn('name', 'SELECT name FROM user ORDER BY id')).to.deep.equal(['ADMIN', 'guest'])
+    expect(await db.query('SELECT id, type FROM Migrations')).to.deep.equal([
+      { id: 1, type: null },
+      { id: 5, type: null },
+      { id: 7, type: 'function' }
+    ])
+    expect(await db.rollback(1, { dryRun: true })).to.deep.equal([
+      { id: 7, name: 'rename admin', direction: 'down', query: null }
+    ])
+    await db.rollback()
+    expect(await db.queryColumn('name', 'SELECT name FROM user ORDER BY id')).to.deep.equal(['admin'])
+  })
+
+  it('rolls back a function migration that throws', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    let error
+    try {
+      await db.migrate({
+        migrations: [
+          ...migrations(),
+          {
+            id: 7,
+            up: async t => {
+              await t.insert('user', { id: 2, name: 'guest' })
+              throw new Error('abort')
+            }
+          }
+        ]
+      })
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.instanceOf(DB.MigrationError)
+    expect(error.cause.message).to.equal('abort')
+    expect(await db.queryColumn('id', 'SELECT id FROM user')).to.deep.equal([1])
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([1, 5])
+  })
+
+  it('splits migrations with triggers and comments in strings', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: [
+        `-- Up
+        CREATE TABLE user (id INTEGER PRIMARY KEY, name TEXT);
+        CREATE TABLE log (text TEXT);
+        CREATE TRIGGER user_log AFTER INSERT ON user BEGIN
+          INSERT INTO log (text) VALUES ('added; ' || NEW.name);
+        END;
+        INSERT INTO user (name) VALUES ('-- admin');
+        -- Down
+        DROP TABLE log;
+        DROP TABLE user;`
+      ]
+    })
+    expect(await db.queryColumn('text', 'SELECT text FROM log')).to.deep.equal(['added; -- admin'])
+    expect(await db.rollback(1, { dryRun: true })).to.deep.equal([
+      { id: 0, name: null, direction: 'down', query: 'DROP TABLE log' },
+      { id: 0, name: null, direction: 'down', query: 'DROP TABLE user' }
+    ])
+  })
+
+  it('throws a MigrationError and rolls back the migration when a statement fails', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    let error
+    try {
+      await db.migrate({
+        migrations: [
+          ...migrations(),
+          {
+            id: 7,
+            name: 'add guest',
+            up: "INSERT INTO user (id, name) VALUES (2, 'guest'); INSERT INTO missing VALUES (1);"
+          }
+        ]
+      })
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.instanceOf(DB.MigrationError)
+    expect(error.message).to.contain('7 (add guest) could not be applied')
+    expect(error.migrationId).to.equal(7)
+    expect(error.migrationName).to.equal('add guest')
+    expect(error.statement).to.equal('INSERT INTO missing VALUES (1)')
+    expect(error.cause.code).to.equal('SQLITE_ERROR')
+    expect(await db.queryColumn('id', 'SELECT id FROM user')).to.deep.equal([1])
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([1, 5])
+  })
+
+  it('keeps a migration applied when undoing it fails', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    await db.migrate({
+      migrations: [
+        ...migrations(),
+        { id: 7, up: "INSERT INTO user (id, name) VALUES (2, 'guest')", down: 'DELETE FROM user WHERE id = 2; DROP TABLE missing' }
+      ]
+    })
+    let error
+    try {
+      await db.rollback()
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.instanceOf(DB.MigrationError)
+    expect(error.direction).to.equal('down')
+    expect(await db.queryColumn('id', 'SELECT id FROM user')).to.deep.equal([1, 2])
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([1, 5, 7])
+  })
+
+  it('returns the status of the migrations', async function () {
+    const webSql = openDatabase(':memory:', '1.0', 'description', 1)
+    await new DB({
+      db: webSql,
+      migrate: [...migrations(), { id: 6, name: 'old', up: 'SELECT 1', down: '' }]
+    }).connection()
+    const changed = migrations()
+    changed[1].up = "INSERT INTO user (id, name) VALUES (1, 'root')"
+    db = new DB({ db: webSql, migrate: false })
+    const status = await db.migrationStatus({
+      migrations: [...changed, { id: 7, name: 'new', up: 'SELECT 1', down: '' }]
+    })
+    expect(status.applied.map(x => x.id)).to.deep.equal([1, 5, 6])
+    expect(new Date(status.applied[0].appliedAt).getTime()).to.be.closeTo(Date.now(), 10000)
+    expect(status.pending).to.deep.equal([{ id: 7, name: 'new', appliedAt: null }])
+    expect(status.missing.map(x => x.name)).to.deep.equal(['old'])
+    expect(status.modified.map(x => x.name)).to.deep.equal(['add admin'])
+    expect(await db.queryFirstCell('SELECT name FROM user WHERE id = 1')).to.equal('admin')
+  })
+
+  it('sets the version of the database to the latest migration with changeVersion', async function () {
+    const webSql = withChangeVersion(openDatabase(':memory:', '1.0', 'description', 1))
+    db = new DB({ db: webSql, migrate: { changeVersion: true, migrations: migrations() } })
+    await db.connection()
+    expect(webSql.version).to.equal('5')
+    await db.rollback()
+    expect(webSql.version).to.equal('1')
+    await db.rollback()
+    expect(webSql.version).to.equal('')
+  })
+
+  it('fails if another migration changed the version of the database', async function () {
+    const webSql = withChangeVersion(openDatabase(':memory:', '1.0', 'description', 1))
+    db = new DB({ db: webSql, migrate: false })
+    await db.migrate({ changeVersion: true, migrations: migrations().slice(0, 1) })
+    db.use({
+      migration (context, next) {
+        // another tab applied a migration after the applied ones were read
+        webSql.version = '5'
+        return next()
+      }
+    })
+    let error
+    try {
+      await db.migrate({ changeVersion: true, migrations: migrations() })
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.instanceOf(DB.MigrationError)
+    expect(error.migrationId).to.equal(5)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM user')).to.equal(0)
+  })
+  it('sets the version of a database that was migrated without changeVersion', async function () {
+    const webSql = withChangeVersion(openDatabase(':memory:', '1.0', 'description', 1))
+    webSql.version = '1.0'
+    db = new DB({ db: webSql, migrate: false })
+    await db.migrate({ migrations: migrations().slice(0, 1) })
+    expect(webSql.version).to.equal('1.0')
+    await db.migrate({ changeVersion: true, migrations: migrations() })
+    expect(webSql.version).to.equal('5')
+    expect(await db.queryColumn('id', 'SELECT id FROM Migrations')).to.deep.equal([1, 5])
+    await db.rollback(1, { changeVersion: true })
+    expect(webSql.version).to.equal('1')
+  })
+
+  it("doesn't set the version if another tab migrated the database in the meantime", async function () {
+    const webSql = withChangeVersion(openDatabase(':memory:', '1.0', 'description', 1))
+    webSql.version = '1.0'
+    db = new DB({ db: webSql, migrate: false })
+    await db.migrate({ migrations: migrations().slice(0, 1) })
+    db.use({
+      execute (context, next) {
+        // the other tab applied migration 5 after this one read the applied migrations
+        return /^SELECT id FROM/.test(context.sql) ? next({ ...context, sql: 'SELECT 1 AS id UNION SELECT 5' }) : next()
+      }
+    })
+    let error
+    try {
+      await db.migrate({ changeVersion: true, migrations: migrations() })
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.contain('migrated by another connection')
+    expect(webSql.version).to.equal('1.0')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM user')).to.equal(0)
+  })
+})
@@ -0,0 +1,92 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const { splitStatements } = require('../src/tokenizer')
+
+let db = null
+
+describe('Database Exec', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('splits statements at semicolons outside of strings, identifiers and comments', function () {
+    expect(splitStatements(`
+      -- a comment; with a semicolon
+      INSERT INTO "a;b" (\`c;d\`, [e;f]) VALUES ('g;''h', '-- i');
+      /* another; comment */
+      SELECT 1;;
+      SELECT 2 -- the end;
+    `)).to.deep.equal([
+      "INSERT INTO \"a;b\" (`c;d`, [e;f]) VALUES ('g;''h', '-- i')",
+      'SELECT 1',
+      'SELECT 2'
+    ])
+  })
+
+  it('keeps the body of a trigger in one statement', function () {
+    expect(splitStatements(`
+      CREATE TEMP TRIGGER log AFTER INSERT ON user BEGIN
+        INSERT INTO log (text) VALUES (CASE WHEN NEW.name IS NULL THEN 'none' ELSE NEW.name END);
+        UPDATE counter SET value = value + 1;
+      END;
+      SELECT 1
+    `)).to.have.lengthOf(2)
+  })
+
+  it('executes all statements of a script', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    await db.exec(`
+      CREATE TABLE user (id INTEGER PRIMARY KEY, name TEXT);
+      CREATE TABLE log (text TEXT);
+      CREATE TRIGGER user_log AFTER INSERT ON user BEGIN
+        INSERT INTO log (text) VALUES ('added; ' || NEW.name);
+        INSERT INTO log (text) VALUES ('-- done');
+      END;
+      INSERT INTO user (name) VALUES ('admin');
+    `)
+    expect(await db.queryColumn('text', 'SELECT text FROM log')).to.deep.equal(['added; admin', '-- done'])
+  })
+
+  it('rolls back the script when a statement fails', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    let error
+    try {
+      await db.exec('CREATE TABLE user (id INTEGER); INSERT INTO missing VALUES (1);')
+    } catch (e) {
+      error = e
+    }
+    expect(error.query).to.equal('INSERT INTO missing VALUES (1)')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM sqlite_master')).to.equal(0)
+  })
+  it('executes a script of the sql tagged template', async function () {
+    db = new DB({
+      db: openDatabase(':memory:', '1.0', 'description', 1),
+      migrate: false
+    })
+    await db.exec(DB.sql`CREATE TABLE ${DB.sql.id('user')} (id INTEGER); CREATE TABLE log (text TEXT);`)
+    expect(await db.schema.tables()).to.deep.equal(['log', 'user'])
+
+    let error
+    try {
+      await db.exec(DB.sql`INSERT INTO log (text) VALUES (${'a'})`)
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.contain('bind parameters')
+    error = null
+    try {
+      await db.exec(['CREATE TABLE a (id INTEGER)'])
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.an.instanceof(TypeError)
+  })
+})
@@ -0,0 +1,134 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const { parseCreateTable, parseCreateIndex } = require('../src/schema')
+
+let db = null
+const createProduct = `CREATE TABLE product (
+  id TEXT PRIMARY KEY,
+  price DECIMAL(10,2) NOT NULL DEFAULT -1.5, -- a comment, with a comma
+  categoryId INTEGER REFERENCES category (id) ON DELETE CASCADE,
+  "na""me" TEXT UNIQUE CHECK (length("na""me") > 1),
+  color TEXT DEFAULT 'red, green' COLLATE NOCASE,
+  size,
+  shopId INT,
+  UNIQUE (color, size),
+  FOREIGN KEY (shopId, size) REFERENCES shop ON UPDATE SET NULL
+)`
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: [
+    `-- Up
+    CREATE TABLE category (id INTEGER PRIMARY KEY, name TEXT);
+    ${createProduct};
+    CREATE INDEX product_color ON product (color DESC, lower(size)) WHERE color IS NOT NULL;
+    -- Down
+    DROP TABLE product;
+    DROP TABLE category;`
+  ]
+})
+
+describe('Database Schema', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('lists the tables', async function () {
+    db = new DB(dbOptions())
+    expect(await db.schema.tables()).to.deep.equal(['Migrations', 'category', 'product'])
+  })
+
+  it('returns the columns of a table', async function () {
+    db = new DB(dbOptions())
+    const columns = await db.schema.columns('product')
+    expect(columns.map(column => column.name)).to.deep.equal(
+      ['id', 'price', 'categoryId', 'na"me', 'color', 'size', 'shopId']
+    )
+    expect(columns[1]).to.deep.equal({ name: 'price', type: 'DECIMAL(10,2)', notnull: true, default: '-1.5', pk: 0 })
+    expect(columns[0].pk).to.equal(1)
+  })
+
+  it('returns the indexes and foreign keys of a table', async function () {
+    db = new DB(dbOptions())
+    expect(await db.schema.indexes('product')).to.deep.equal([
+      { name: 'product_color', unique: false, columns: ['color', null] },
+      { name: 'sqlite_autoindex_product_1', unique: true, columns: ['id'] },
+      { name: 'sqlite_autoindex_product_2', unique: true, columns: ['na"me'] },
+      { name: 'sqlite_autoindex_product_3', unique: true, columns: ['color', 'size'] }
+    ])
+    expect(await db.schema.foreignKeys('product')).to.deep.equal([
+      { table: 'category', from: ['categoryId'], to: ['id'], onUpdate: 'NO ACTION', onDelete: 'CASCADE' },
+      { table: 'shop', from: ['shopId', 'size'], to: [null, null], onUpdate: 'SET NULL', onDelete: 'NO ACTION' }
+    ])
+  })
+
+  it('parses CREATE statements like SQLite', async function () {
+    db = new DB(dbOptions())
+    const parsed = parseCreateTable(createProduct)
+    expect(parsed.columns).to.deep.equal(await db.schema.columns('product'))
+    expect(parsed.foreignKeys).to.deep.equal(await db.schema.foreignKeys('product'))
+    expect(parsed.constraints.map(constraint => constraint.columns)).to.deep.equal([['id'], ['na"me'], ['color', 'size']])
+    expect(parseCreateIndex('CREATE UNIQUE INDEX IF NOT EXISTS "a b" ON product (color COLLATE NOCASE, size + 1)'))
+      .to.deep.equal({ name: 'a b', unique: true, columns: ['color', null] })
+  })
+
+  it('caches the results until a migration changes the tables', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    expect(await db.schema.columns('category')).to.have.lengthOf(2)
+    // not with the helpers of DB()
+    await new Promise((resolve, reject) => {
+      db.options.db.transaction(tx => tx.executeSql('ALTER TABLE category ADD COLUMN color TEXT'), reject, resolve)
+    })
+    expect(await db.schema.columns('category')).to.have.lengthOf(2)
+    await db.rollback()
+    expect(await db.schema.columns('category')).to.deep.equal([])
+  })
+
+  it('clears the cache after CREATE, ALTER and DROP statements', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    expect(await db.schema.columns('category')).to.have.lengthOf(2)
+    await db.run('ALTER TABLE category ADD COLUMN color TEXT')
+    expect(await db.schema.columns('category')).to.have.lengthOf(3)
+    await db.run('-- sizes\n  /* of categories */ alter table category ADD COLUMN size INTEGER')
+    expect(await db.schema.columns('category')).to.have.lengthOf(4)
+    await db.exec('/* tags */ CREATE TABLE tag (name TEXT); ALTER TABLE tag ADD COLUMN color TEXT;')
+    expect(await db.schema.tables()).to.include('tag')
+    await db.transaction(async t => {
+      expect(await t.schema.columns('tag')).to.have.lengthOf(2)
+      await t.run('DROP TABLE tag')
+      expect(await t.schema.columns('tag')).to.deep.equal([])
+    })
+    expect(await db.schema.tables()).not.to.include('tag')
+  })
+
+  it('clears the cache after a rolled back transaction', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    try {
+      await db.transaction(async t => {
+        await t.run('CREATE TABLE tag (name TEXT)')
+        expect(await t.schema.tables()).to.include('tag')
+        throw new Error('rollback')
+      })
+    } catch (e) {}
+    expect(await db.schema.tables()).not.to.include('tag')
+  })
+
+  it('uses the columns for the blacklist functions', async function () {
+    db = new DB(dbOptions())
+    await db.insertWithBlackList('product', { id: 'a', price: 2, color: 'blue', size: 1 }, ['size'])
+    expect(await db.queryFirstRow('SELECT price, color, size FROM product')).to.deep.equal({ price: 2, color: 'blue', size: null })
+  })
+
+  it('uses the columns added after the last migration for the blacklist functions', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    expect(await db.schema.columns('category')).to.have.lengthOf(2)
+    await db.exec('ALTER TABLE category ADD COLUMN color TEXT')
+    await db.insertWithBlackList('category', { id: 1, name: 'shoes', color: 'red' }, ['id'])
+    expect(await db.queryFirstRow('SELECT name, color FROM category')).to.deep.equal({ name: 'shoes', color: 'red' })
+  })
+})
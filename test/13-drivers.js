@@ -0,0 +1,291 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const sqlite3 = require('sqlite3')
+
+let db = null
+const executeSql = (database, query, parameters) =>
+  new Promise((resolve, reject) => {
+    let resultSet
+    database.transaction(tx => tx.executeSql(query, parameters, (tx, rs) => (resultSet = rs)), reject, () =>
+      resolve(resultSet)
+    )
+  })
+const migrate = [
+  `-- Up
+  CREATE TABLE user (id INTEGER PRIMARY KEY, name TEXT UNIQUE);
+  INSERT INTO user (name) VALUES ('admin');
+  -- Down
+  DROP TABLE user;`
+]
+
+describe('Database Drivers', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('throws for an unknown driver', function () {
+    expect(() => new DB({ db: {}, driver: 'oracle' })).to.throw('Unknown driver oracle')
+    expect(() => new DB({ db: {} })).to.throw('driver option')
+  })
+
+  it('uses the node module sqlite3', async function () {
+    db = new DB({ db: new sqlite3.Database(':memory:'), driver: 'sqlite3', migrate })
+    expect(await db.insert('user', [{ name: 'a' }, { name: 'b' }], undefined, { returnIds: true })).to.deep.equal([2, 3])
+    expect(await db.update('user', { name: 'c' }, { name: 'b' })).to.equal(1)
+    expect(await db.update('user', { name: 'd' }, { name: 'b' })).to.equal(0)
+    expect(await db.queryColumn('name', 'SELECT name FROM user ORDER BY id')).to.deep.equal(['admin', 'a', 'c'])
+    expect((await db.run('CREATE TABLE log (text TEXT)')).rowsAffected).to.equal(0)
+  })
+
+  it('runs transactions with sqlite3 like WebSQL', async function () {
+    db = new DB({ db: new sqlite3.Database(':memory:'), driver: 'sqlite3', migrate })
+    let error
+    try {
+      await db.transaction(async t => {
+        await t.insert('user', { name: 'a' })
+        await t.insert('user', { name: 'admin' })
+      })
+    } catch (e) {
+      error = e
+    }
+    expect(error.code).to.equal('SQLITE_CONSTRAINT')
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM user')).to.equal(1)
+    expect(await db.transaction(async t => {
+      await t.insert('user', { name: 'a' })
+      return t.queryFirstCell('SELECT COUNT(1) FROM user')
+    })).to.equal(2)
+    expect(await db.queryFirstCell('SELECT COUNT(1) FROM user')).to.equal(2)
+  })
+
+  it('accepts a function as driver', async function () {
+    const executed = []
+    db = new DB({
+      db: {},
+      driver: () => DB.drivers.createDatabase(async (query, parameters) => {
+        executed.push(query)
+        return query === 'SELECT 42 AS answer' ? { rows: [{ answer: 42 }] } : {}
+      }),
+      migrate: false
+    })
+    expect(await db.queryFirstCell('SELECT 42 AS answer')).to.equal(42)
+    expect(executed).to.deep.equal(['BEGIN', 'SELECT 42 AS answer', 'COMMIT'])
+  })
+
+  it('runs timers and I/O during a transaction of a synchronous library', async function () {
+    let statements = 0
+    db = new DB({
+      db: {},
+      driver: () => DB.drivers.createDatabase(async () => {
+        statements++
+        return { rows: [] }
+      }),
+      migrate: false
+    })
+    const result = await db.transaction(async t => {
+      await new Promise(resolve => setTimeout(resolve, 10))
+      return 'done'
+    })
+    expect(result).to.equal('done')
+    expect(statements).to.be.above(2)
+  })
+
+  it('uses the node module better-sqlite3', async function () {
+    const executed = []
+    const fake = {
+      closed: false,
+      prepare (query) {
+        if (query === 'INSERT INTO user (name) VALUES (?)') {
+          const error = new Error('UNIQUE constraint failed: user.name')
+          error.code = 'SQLITE_CONSTRAINT_UNIQUE'
+          throw error
+        }
+        return {
+          reader: query.startsWith('SELECT'),
+          all: (...parameters) => {
+            executed.push([query, parameters])
+            return [{ id: 1, name: 'admin' }, { id: 2, name: 'a' }]
+          },
+          run: (...parameters) => {
+            executed.push([query, parameters])
+            return query.startsWith('UPDATE') ? { changes: 2, lastInsertRowid: 7 } : { changes: 0 }
+          }
+        }
+      },
+      close () {
+        this.closed = true
+      }
+    }
+    const rs = await executeSql(
+      DB.drivers.betterSqlite3(fake),
+      'UPDATE user SET active = ?, note = ? WHERE id > ?',
+      [true, undefined, 0]
+    )
+    expect([rs.rowsAffected, rs.insertId]).to.deep.equal([2, 7])
+    expect(executed[1]).to.deep.equal(['UPDATE user SET active = ?, note = ? WHERE id > ?', [1, null, 0]])
+    db = new DB({ db: fake, driver: 'betterSqlite3', migrate: false })
+    const rows = (await db.run('SELECT * FROM user')).rows
+    expect(rows.length).to.equal(2)
+    expect(rows.item(1)).to.deep.equal({ id: 2, name: 'a' })
+    expect((await db.run('CREATE TABLE log (text TEXT)')).rowsAffected).to.equal(0)
+
+    let error
+    try {
+      await db.run('INSERT INTO user (name) VALUES (?)', ['admin'])
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.an.instanceof(DB.ConstraintError)
+    expect(error.code).to.equal('SQLITE_CONSTRAINT_UNIQUE')
+    expect(executed.map(([query]) => query).slice(-2)).to.deep.equal(['BEGIN', 'ROLLBACK'])
+
+    await db.close()
+    expect(fake.closed).to.equal(true)
+  })
+
+  it('uses sql.js', async function () {
+    let total = 0
+    const bound = []
+    let freed = 0
+    const fake = {
+      closed: false,
+      prepare (query) {
+        const rows = query === 'SELECT name FROM user' ? [{ name: 'admin' }, { name: 'a' }] : []
+        return {
+          bind (parameters) {
+            bound.push(parameters)
+            if (query.startsWith('INSERT') && parameters[0] === 'admin') {
+              throw new Error('UNIQUE constraint failed: user.name')
+            }
+            if (query.startsWith('INSERT')) {
+              total++
+            }
+          },
+          step: () => rows.length > 0,
+          getAsObject: () => rows.shift(),
+          free: () => freed++
+        }
+      },
+      exec (query) {
+        expect(query).to.equal('SELECT total_changes(), changes(), last_insert_rowid()')
+        return [{ values: [[total, 1, total + 1]] }]
+      },
+      close () {
+        this.closed = true
+      }
+    }
+    const rs = await executeSql(DB.drivers.sqlJs(fake), 'INSERT INTO user (name, note) VALUES (?, ?)', ['b', undefined])
+    expect([rs.rowsAffected, rs.insertId]).to.deep.equal([1, 2])
+    expect(bound[1]).to.deep.equal(['b', null])
+    db = new DB({ db: fake, driver: 'sqlJs', migrate: false })
+    const select = await db.run('SELECT name FROM user')
+    expect([select.rows.length, select.rows.item(0), select.rowsAffected, select.insertId]).to.deep.equal([
+      2,
+      { name: 'admin' },
+      0,
+      undefined
+    ])
+
+    let error
+    try {
+      await db.run('INSERT INTO user (name) VALUES (?)', ['admin'])
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.an.instanceof(DB.ConstraintError)
+    expect([error.table, error.column]).to.deep.equal(['user', 'name'])
+    // every prepared statement is freed, also the failing one
+    expect(freed).to.equal(bound.length)
+
+    await db.close()
+    expect(fake.closed).to.equal(true)
+  })
+
+  it('uses cordova-sqlite-storage', async function () {
+    const executed = []
+    const batches = []
+    const resultSet = ({ rows = [], rowsAffected = 0, insertId }) => ({
+      rows: { length: rows.length, item: index => rows[index] },
+      rowsAffected,
+      insertId
+    })
+    const execute = query => {
+      if (query.includes('websql_helper_rollback')) {
+        throw new Error('no such function: websql_helper_rollback')
+      }
+      executed.push(query)
+      return resultSet(query.startsWith('INSERT') ? { rowsAffected: 1, insertId: 3 } : { rows: [{ answer: 42 }] })
+    }
+    // the API of window.sqlitePlugin.openDatabase()
+    const fake = {
+      transaction (callback, errorCallback, successCallback) {
+        const statements = []
+        const tx = {
+          executeSql: (query, parameters, success, error) => statements.push({ query, parameters, success, error })
+        }
+        const next = () => {
+          const statement = statements.shift()
+          if (!statement) {
+            return successCallback && successCallback()
+          }
+          let rs
+          try {
+            rs = execute(statement.query, statement.parameters)
+          } catch (e) {
+            if (statement.error && statement.error(tx, e) === false) {
+              return setTimeout(next)
+            }
+            return errorCallback && errorCallback(e)
+          }
+          statement.success && statement.success(tx, rs)
+          setTimeout(next)
+        }
+        callback(tx)
+        setTimeout(next)
+      },
+      readTransaction (...args) {
+        return this.transaction(...args)
+      },
+      sqlBatch (statements, success, error) {
+        batches.push(statements)
+        setTimeout(() =>
+          statements.some(query => query.startsWith('FAIL')) ? error(new Error('near "FAIL": syntax error')) : success()
+        )
+      },
+      close (success, error) {
+        this.closed = true
+        setTimeout(success)
+      }
+    }
+    db = new DB({ db: fake, driver: 'cordova', migrate: false })
+    expect(await db.insert('user', { name: 'a' })).to.equal(3)
+    expect(await db.queryFirstCell('SELECT 42 AS answer')).to.equal(42)
+    expect(executed).to.deep.equal([
+      'INSERT INTO `user` (`name`) VALUES (?)',
+      'SELECT 42 AS answer'
+    ])
+
+    const events = []
+    db.on('query:end', ({ method, sql }) => events.push([method, sql]))
+    db.on('query:error', ({ method, sql, error }) => events.push([method, sql, error.name]))
+    await db.exec('CREATE TABLE a (id INTEGER); CREATE TABLE b (id INTEGER);')
+    expect(batches).to.deep.equal([['CREATE TABLE a (id INTEGER)', 'CREATE TABLE b (id INTEGER)']])
+    let error
+    try {
+      await db.exec('CREATE TABLE c (id INTEGER); FAIL;')
+    } catch (e) {
+      error = e
+    }
+    expect(error).to.be.an.instanceof(DB.SyntaxError)
+    expect(error.sql).to.equal('CREATE TABLE c (id INTEGER);\nFAIL')
+    expect(events).to.deep.equal([
+      ['exec', 'CREATE TABLE a (id INTEGER)'],
+      ['exec', 'CREATE TABLE b (id INTEGER)'],
+      ['exec', 'CREATE TABLE c (id INTEGER)', 'SyntaxError'],
+      ['exec', 'FAIL', 'SyntaxError']
+    ])
+
+    await db.close()
+    expect(fake.closed).to.equal(true)
+  })
+})
@@ -0,0 +1,61 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const sqlite3 = require('sqlite3')
+
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: false
+})
+
+describe('Database Instances', function () {
+  afterEach(async () => {
+    await DB.reset()
+  })
+
+  it('returns the same global instance', function () {
+    const db = DB(dbOptions())
+    expect(DB()).to.equal(db)
+    expect(DB()).to.be.instanceOf(DB)
+  })
+
+  it('returns named instances', async function () {
+    const cache = DB('cache', dbOptions())
+    const user = DB('user', dbOptions())
+    expect(DB('cache')).to.equal(cache)
+    expect(cache).to.not.equal(user)
+    await DB('cache').run('CREATE TABLE entry (key TEXT)')
+    expect(await DB('user').queryFirstCell("SELECT COUNT(1) FROM sqlite_master WHERE name = 'entry'")).to.equal(0)
+  })
+
+  it('throws if an instance is used before it was configured', function () {
+    expect(() => DB()).to.throw('DB() is used before it was configured with DB(options)')
+    expect(() => DB('cache')).to.throw("DB('cache') is used before it was configured with DB('cache', options)")
+  })
+
+  it('closes an instance and its database', async function () {
+    const database = new sqlite3.Database(':memory:')
+    const db = DB('cache', { db: database, driver: 'sqlite3', migrate: false })
+    expect(await db.queryFirstCell('SELECT 1')).to.equal(1)
+    await DB.close('cache')
+    expect(() => DB('cache')).to.throw('before it was configured')
+    let error
+    try {
+      await db.query('SELECT 1')
+    } catch (e) {
+      error = e
+    }
+    expect(error.message).to.equal('The database is closed')
+    error = await new Promise(resolve => database.all('SELECT 1', resolve))
+    expect(error.code).to.equal('SQLITE_MISUSE')
+  })
+
+  it('forgets all instances with reset', async function () {
+    DB(dbOptions())
+    DB('cache', dbOptions())
+    await DB.reset()
+    expect(() => DB()).to.throw('before it was configured')
+    expect(() => DB('cache')).to.throw('before it was configured')
+  })
+})
@@ -0,0 +1,80 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const migrate = require('./migrations/migration.js')
+
+let db = null
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: migrate
+})
+
+describe('Database Hooks', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('emits the start and the end of a query', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    const events = []
+    db.on('query:start', data => events.push(['start', data]))
+    db.on('query:end', data => events.push(['end', data]))
+    await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test')
+    expect(events.map(([type]) => type)).to.deep.equal(['start', 'end'])
+    expect(events[0][1]).to.deep.equal({
+      method: 'queryFirstCell',
+      sql: 'SELECT value FROM Setting WHERE key = ?',
+      params: ['test'],
+      transactionId: null
+    })
+    expect(events[1][1].rowCount).to.equal(1)
+    expect(events[1][1].duration).to.be.a('number')
+  })
+
+  it('emits errors and the id of the transaction', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    const ends = []
+    const errors = []
+    db.on('query:end', data => ends.push(data))
+    db.on('query:error', data => errors.push(data))
+    try {
+      await db.transaction(async t => {
+        await t.insert('Setting', { key: 'test2', value: '1' })
+        await t.insert('Setting', { key: 'test2', value: '2' })
+      })
+    } catch (e) {}
+    expect(ends).to.have.lengthOf(1)
+    expect(ends[0].rowsAffected).to.equal(1)
+    expect(errors).to.have.lengthOf(1)
+    expect(errors[0].method).to.equal('insert')
+    expect(errors[0].error.message).to.contain('UNIQUE')
+    expect(errors[0].transactionId).to.be.a('number').and.equal(ends[0].transactionId)
+  })
+
+  it('removes listeners', async function () {
+    db = new DB(dbOptions())
+    const events = []
+    const listener = data => events.push(data)
+    db.on('query:end', listener).off('query:end', listener)
+    await db.query('SELECT 1')
+    expect(events).to.have.lengthOf(0)
+  })
+
+  it('logs slow queries', async function () {
+    const slow = []
+    db = new DB({
+      ...dbOptions(),
+      slowQueryThreshold: 0,
+      slowQueryLogger: (message, params) => slow.push([message, params])
+    })
+    await db.connection()
+    slow.length = 0
+    await db.query('SELECT * FROM Setting WHERE key = ?', 'test')
+    expect(slow).to.have.lengthOf(1)
+    expect(slow[0][0]).to.match(/^Slow query \(\d+ ms\) in query: SELECT \* FROM Setting WHERE key = \?$/)
+    expect(slow[0][1]).to.deep.equal(['test'])
+  })
+})
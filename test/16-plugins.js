@@ -0,0 +1,158 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const migrate = require('./migrations/migration.js')
+
+let db = null
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: migrate
+})
+
+describe('Database Plugins', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('calls the plugins in the order they were added', async function () {
+    db = new DB(dbOptions())
+    const calls = []
+    const plugin = name => ({
+      async queryFirstCell (context, next) {
+        calls.push(`${name} before`)
+        const result = await next()
+        calls.push(`${name} after`)
+        return result
+      }
+    })
+    db.use(plugin('a')).use(plugin('b'))
+    expect(await db.queryFirstCell('SELECT 1')).to.equal(1)
+    expect(calls).to.deep.equal(['a before', 'b before', 'b after', 'a after'])
+  })
+
+  it('rewrites arguments and results of helpers', async function () {
+    db = new DB(dbOptions())
+    db.use({
+      insert (context, next) {
+        const [table, data, ...rest] = context.args
+        return next({ ...context, args: [table, { ...data, value: String(data.value).trim() }, ...rest] })
+      },
+      query: async (context, next) => (await next()).map(row => ({ ...row, loaded: true }))
+    })
+    await db.insert('Setting', { key: 'test2', value: ' 2 ' })
+    expect(await db.query('SELECT value FROM Setting WHERE key = ?', 'test2')).to.deep.equal([{ value: '2', loaded: true }])
+  })
+
+  it('rewrites every statement', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    const statements = []
+    db.use({
+      execute (context, next) {
+        statements.push([context.method, context.transactionId])
+        if (context.method === 'queryColumn') {
+          context.sql += ' AND key != ?'
+          context.params = [...context.params, 'test']
+        }
+        return next()
+      }
+    })
+    await db.transaction(t => t.insert('Setting', { key: 'test2', value: '2' }))
+    expect(await db.queryColumn('key', 'SELECT key FROM Setting WHERE 1')).to.deep.equal(['test2'])
+    expect(statements[0][0]).to.equal('insert')
+    expect(statements[0][1]).to.be.a('number')
+    expect(statements[1]).to.deep.equal(['queryColumn', null])
+  })
+
+  it('returns a result without calling the helper', async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    const cache = new Map()
+    let executed = 0
+    db.use({
+      async queryFirstCell (context, next) {
+        const key = JSON.stringify(context.args)
+        if (!cache.has(key)) {
+          cache.set(key, await next())
+        }
+        return cache.get(key)
+      },
+      execute (context, next) {
+        executed++
+        return next()
+      }
+    })
+    expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test')).to.equal('now')
+    expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test')).to.equal('now')
+    expect(executed).to.equal(1)
+  })
+
+  it('hooks into migrations', async function () {
+    const migrations = []
+    db = new DB({
+      ...dbOptions(),
+      plugins: [{
+        migration (context, next) {
+          migrations.push(context)
+          return next()
+        }
+      }]
+    })
+    await db.connection()
+    expect(migrations.map(x => x.direction)).to.deep.equal(migrate.map(() => 'up'))
+  })
+  it("doesn't call the hooks for the statements of the library", async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    const calls = []
+    db.use(
+      ['query', 'queryFirstCell', 'queryColumn', 'update', 'insert', 'upsert', 'insertWithBlackList'].reduce(
+        (plugin, method) => ({
+          ...plugin,
+          [method]: (context, next) => {
+            calls.push(method)
+            return next()
+          }
+        }),
+        {}
+      )
+    )
+    await db.schema.columns('Setting')
+    await db.insertWithBlackList('Setting', { key: 'test2', value: '2' }, ['id'])
+    await db.upsert('Setting', { key: 'test2', value: '3' }, ['key'])
+    db.options.sqliteVersion = '3.8.0'
+    await db.upsert('Setting', { key: 'test2', value: '4' }, ['key'])
+    expect(calls).to.deep.equal(['insertWithBlackList', 'upsert', 'upsert'])
+    expect(await db.queryFirstCell('SELECT value FROM Setting WHERE key = ?', 'test2')).to.equal('4')
+  })
+  it("doesn't call the hooks of query for select, iterate and pages", async function () {
+    db = new DB(dbOptions())
+    await db.connection()
+    const calls = []
+    let executed = 0
+    db.use({
+      query (context, next) {
+        calls.push('query')
+        return next()
+      },
+      queryFirstCell (context, next) {
+        calls.push('queryFirstCell')
+        return next()
+      },
+      execute (context, next) {
+        executed++
+        return next()
+      }
+    })
+    await db.select('Setting')
+    await db.selectColumn('key', 'Setting')
+    for await (const row of db.iterate({ table: 'Setting' })) {
+      expect(row.key).to.equal('test')
+    }
+    await db.queryPage('SELECT * FROM Setting', { pageSize: 10 })
+    await db.queryCursorPage('SELECT * FROM Setting', { key: 'key' })
+    expect(calls).to.deep.equal([])
+    expect(executed).to.be.above(5)
+  })
+})
@@ -0,0 +1,76 @@
+const { describe, it, afterEach } = require('mocha')
+const { expect } = require('chai')
+const DB = require('../src/database')
+const openDatabase = require('websql')
+const migrate = require('./migrations/migration.js')
+const { createDatabaseError } = require('../src/errors')
+
+let db = null
+const dbOptions = () => ({
+  db: openDatabase(':memory:', '1.0', 'description', 1),
+  migrate: migrate
+})
+const catchError = async promise => {
+  try {
+    await promise
+  } catch (e) {
+    return e
+  }
+}
+
+describe('Database Errors', function () {
+  afterEach(async () => {
+    db = null
+  })
+
+  it('throws a ConstraintError with the table and the column', async function () {
+    db = new DB(dbOptions())
+    const error = await catchError(db.insert('Setting', { key: 'test', value: '1' }))
+    expect(error).to.be.instanceOf(DB.ConstraintError)
+    expect(error).to.be.instanceOf(DB.DatabaseError)
+    expect(error).to.be.an('error')
+    expect(error.kind).to.equal('UNIQUE')
+    expect(error.table).to.equal('Setting')
+    expect(error.column).to.equal('key')
+    expect(error.sql).to.equal('INSERT INTO `Setting` (`key`,`value`) VALUES (?,?)')
+    expect(error.params).to.deep.equal(['test', '1'])
+    expect(error.code).to.equal('SQLITE_CONSTRAINT')
+    expect(error.stack).to.match(/^ConstraintError: /).and.contain('17-errors.js')
+  })
+
+  it('throws a ConstraintError inside of a transaction', async function () {
+    db = new DB(dbOptions())
+    const error = await catchError(db.transaction(t => t.run('INSERT INTO Setting (key) VALUES (NULL)')))
+    expect(error).to.be.instanceOf(DB.ConstraintError)
+    expect(error.kind).to.equal('NOT NULL')
+    expect(error.stack).to.contain('17-errors.js')
+  })
+
+  it('throws a SyntaxError and a DatabaseError', async function () {
+    db = new DB(dbOptions())
+    const syntaxError = await catchError(db.run('SELEC 1'))
+    expect(syntaxError).to.be.instanceOf(DB.SyntaxError)
+    expect(syntaxError.name).to.equal('SyntaxError')
+    const error = await catchError(db.query('SELECT * FROM missing'))
+    expect(error).to.be.instanceOf(DB.DatabaseError)
+    expect(error).to.not.be.instanceOf(DB.SyntaxError)
+  })
+
+  it('knows the errors of WebSQL', function () {
+    const constraintError = createDatabaseError(
+      { code: 6, message: 'could not execute statement due to a constraint failure (19 UNIQUE constraint failed: user.firstName, user.lastName)' },
+      'INSERT INTO user ...',
+      []
+    )
+    expect(constraintError).to.be.instanceOf(DB.ConstraintError)
+    expect(constraintError.columns).to.deep.equal(['firstName', 'lastName'])
+    expect(createDatabaseError({ code: 4, message: 'there was not enough remaining storage space' }, '', []))
+      .to.be.instanceOf(DB.QuotaExceededError)
+    expect(createDatabaseError({ code: 5, message: 'could not prepare statement (1 near "x": syntax error)' }, '', []))
+      .to.be.instanceOf(DB.SyntaxError)
+    const missingTable = createDatabaseError({ code: 5, message: 'could not prepare statement (1 no such table: usr)' }, '', [])
+    expect(missingTable).to.be.instanceOf(DB.DatabaseError)
+    expect(missingTable).not.to.be.instanceOf(DB.SyntaxError)
+    expect(missingTable.code).to.equal(5)
+  })
+})